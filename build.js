@@ -1,6 +1,16 @@
 const fs = require("fs");
 const path = require("path");
 
+const injectBuildConfig = (source, config) => {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("config.json must contain a JSON object.");
+  }
+  return source.replace(
+    /^const BUILD_CONFIG = \{\};$/m,
+    () => `const BUILD_CONFIG = ${JSON.stringify(config, null, 2)};`
+  );
+};
+
 const build = ({
   rootDir = process.cwd(),
   fsModule = fs,
@@ -8,15 +18,20 @@ const build = ({
 } = {}) => {
   const srcPath = pathModule.join(rootDir, "src", "Code.js");
   const appsscriptPath = pathModule.join(rootDir, "appsscript.json");
+  const configPath = pathModule.join(rootDir, "config.json");
   const distDir = pathModule.join(rootDir, "dist");
   const distPath = pathModule.join(distDir, "Code.gs");
   const distManifestPath = pathModule.join(distDir, "appsscript.json");
 
   fsModule.mkdirSync(distDir, { recursive: true });
   const source = fsModule.readFileSync(srcPath, "utf8");
-  const compiled = source
+  let compiled = source
     .replace(/^export\s+/gm, "")
     .replace(/^export\s*\{[^}]*\};?\s*$/gm, "");
+  if (fsModule.existsSync(configPath)) {
+    const config = JSON.parse(fsModule.readFileSync(configPath, "utf8"));
+    compiled = injectBuildConfig(compiled, config);
+  }
   fsModule.writeFileSync(distPath, compiled);
   fsModule.copyFileSync(appsscriptPath, distManifestPath);
 };
@@ -31,4 +46,4 @@ const runIfMain = ({ main = require.main, current = module, buildFn = build } =
 
 runIfMain();
 
-module.exports = { build, runIfMain };
+module.exports = { build, injectBuildConfig, runIfMain };
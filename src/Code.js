@@ -1,31 +1,166 @@
-const SPREADSHEET_ID = "1-ZPznr_lJfNU5tDBVuSEdcDigs1BC4Uu4LwkUL0bWEk";
-// Define the birth date in a way that is interpreted as Japan Standard Time (JST).
-// Using T00:00:00+09:00 ensures it's treated as the start of the day in JST.
-const BIRTH_DATE = new Date("1979-09-02T00:00:00+09:00");
+// Fallbacks for optional settings. SPREADSHEET_ID and BIRTH_DATE have no
+// fallback and must be configured, and TIME_ZONE falls back to the script's
+// time zone from appsscript.json (see `loadProfile`).
+const DEFAULT_CONFIG = {
+  SHEET_NAME: "list",
+  PUBLIC_READ: "true",
+  FEED_TITLE: "Bucket List",
+  CACHE_TTL_SECONDS: "300",
+  DUE_SOON_DAYS: "365",
+  IMAGE_METADATA: "false",
+  STRICT_SCHEMA: "false",
+  STEPS_SHEET_NAME: "steps",
+  AUTO_COMPLETE_STEPS: "false",
+  HISTORY_SHEET_NAME: "history",
+};
+
+// Defaults injected by build.js from a local config.json. Keep this line
+// as-is: the build replaces it.
+const BUILD_CONFIG = {};
+
+// Date formatters keyed by time zone. Creating one is slow, and every item
+// needs one for its `completed_on`.
+const dateFormatters = new Map();
+
+/**
+ * Reads the calendar date and wall-clock time of an instant in a time zone.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - An IANA time zone name, e.g. "Asia/Tokyo".
+ * @returns {{year: number, month: number, day: number, hour: number,
+ *     minute: number, second: number}} The local time, with months counted
+ *     from 1.
+ */
+function zonedDate(date, timeZone) {
+  if (!dateFormatters.has(timeZone)) {
+    dateFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        hourCycle: "h23",
+      })
+    );
+  }
+  const parts = dateFormatters.get(timeZone).formatToParts(date);
+  const part = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return {
+    year: part("year"),
+    month: part("month"),
+    day: part("day"),
+    hour: part("hour"),
+    minute: part("minute"),
+    second: part("second"),
+  };
+}
+
+/**
+ * Finds the instant a calendar date starts in a time zone.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @param {string} timeZone - An IANA time zone name.
+ * @returns {Date} Local midnight, or the first moment of the day when a
+ *     daylight saving change skips midnight.
+ */
+function startOfLocalDay(date, timeZone) {
+  const midnightUtc = Date.parse(date);
+  let instant = midnightUtc;
+  // Shift by the zone's UTC offset, twice in case the first shift crossed
+  // a daylight saving change.
+  for (let i = 0; i < 2; i++) {
+    const local = zonedDate(new Date(instant), timeZone);
+    const offset =
+      Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) -
+      Math.floor(instant / 1000) * 1000;
+    instant = midnightUtc - offset;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Formats a calendar date as YYYY-MM-DD. Out-of-range days and months roll
+ * over, so Feb 29 becomes Mar 1 in a common year.
+ * @param {number} year - The year.
+ * @param {number} month - The month, counted from 1.
+ * @param {number} day - The day of the month.
+ * @returns {string} The date in ISO 8601 format.
+ */
+function formatCalendarDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Finds the local date of an instant, e.g. the day an item was completed.
+ * @param {string} iso - An ISO 8601 timestamp.
+ * @param {string} timeZone - An IANA time zone name.
+ * @returns {string} The date as YYYY-MM-DD in that time zone.
+ */
+function localDate(iso, timeZone) {
+  const { year, month, day } = zonedDate(new Date(iso), timeZone);
+  return formatCalendarDate(year, month, day);
+}
 
 /**
- * Calculates the full age based on a birth date and a current date.
+ * Calculates the full age based on a birth date and a current date. Both are
+ * read as calendar dates in the given time zone, so the result does not
+ * depend on the zone the script runs in.
  * @param {Date} birthDate - The date of birth.
  * @param {Date} nowDate - The current date.
+ * @param {string} timeZone - An IANA time zone name, e.g. "Asia/Tokyo".
  * @returns {number} The calculated full age.
  */
-export function calculateAge(birthDate, nowDate) {
-  const birthYear = birthDate.getFullYear();
-  const birthMonth = birthDate.getMonth();
-  const birthDay = birthDate.getDate();
-
-  const nowYear = nowDate.getFullYear();
-  const nowMonth = nowDate.getMonth();
-  const nowDay = nowDate.getDate();
+export function calculateAge(birthDate, nowDate, timeZone) {
+  const birth = zonedDate(birthDate, timeZone);
+  const now = zonedDate(nowDate, timeZone);
 
-  let age = nowYear - birthYear;
+  let age = now.year - birth.year;
   // If the birthday for this year has not occurred yet, subtract one year.
-  if (nowMonth < birthMonth || (nowMonth === birthMonth && nowDay < birthDay)) {
+  if (now.month < birth.month || (now.month === birth.month && now.day < birth.day)) {
     age--;
   }
   return age;
 }
 
+/**
+ * Finds the birthday on which a target-age decade ends, e.g. the 50th
+ * birthday for the 40s. Like `calculateAge`, it works on calendar dates in
+ * the given time zone, so a Feb 29 birthday falls on Mar 1 in other years.
+ * @param {Date} birthDate - The date of birth.
+ * @param {number} decade - The normalized target age, e.g. 40.
+ * @param {string} timeZone - An IANA time zone name.
+ * @returns {string} That birthday as YYYY-MM-DD.
+ */
+export function decadeEndDate(birthDate, decade, timeZone) {
+  const { year, month, day } = zonedDate(birthDate, timeZone);
+  return formatCalendarDate(year + decade + 10, month, day);
+}
+
+/**
+ * Pre-calculates the time-dependent values parsing relies on.
+ * @param {Object} options - The options of `convertSheetDataToObjects`.
+ * @returns {{nowISO: string, today: string, normalizedTargetAge: number,
+ *     birthDate: Date, timeZone: string, dueSoonDays: number}} The current
+ *     time and local date, the decade of the owner's current age, and the
+ *     settings deadlines are computed from.
+ */
+function createParseContext(options) {
+  const now = options.now ?? new Date();
+  const birthDate = options.birthDate ?? loadProfile().birthDate;
+  const timeZone = options.timeZone ?? Session.getScriptTimeZone();
+  const actualAge = calculateAge(birthDate, now, timeZone);
+  return {
+    nowISO: now.toISOString(),
+    today: localDate(now.toISOString(), timeZone),
+    normalizedTargetAge: Math.floor(actualAge / 10) * 10,
+    birthDate,
+    timeZone,
+    dueSoonDays: options.dueSoonDays ?? parseInt(DEFAULT_CONFIG.DUE_SOON_DAYS, 10),
+  };
+}
+
 /**
  * Converts spreadsheet data (2D array) into an array of objects.
  * The first row of the data is used as keys for the objects.
@@ -35,6 +170,42 @@ export function calculateAge(birthDate, nowDate) {
 // Helper function to safely stringify and trim a value.
 const safeTrim = (v) => String(v ?? "").trim();
 
+// Helper function to normalize a header so it is robust against variations.
+const normalizeHeader = (h) => safeTrim(h).toLowerCase();
+
+// Helper function to fold word separators in a header into underscores, so
+// "Completed At" and "completed-at" both match "completed_at".
+const foldHeader = (h) => normalizeHeader(h).replace(/[\s-]+/g, "_");
+
+// Helper function to map a list sheet header to its canonical field name.
+const canonicalHeader = (h, aliases = listSchema.aliases) => {
+  const header = foldHeader(h);
+  return Object.prototype.hasOwnProperty.call(aliases, header)
+    ? aliases[header]
+    : header;
+};
+
+// Matches the file id in Google Drive share links, e.g.
+// https://drive.google.com/file/d/<id>/view or .../open?id=<id>.
+const driveLinkPattern =
+  /^https:\/\/(?:drive|docs)\.google\.com\/(?:file\/d\/|(?:open|uc)\?(?:.*&)?id=)([\w-]{25,})/;
+
+// Bare Drive file ids are long runs of URL-safe base64 characters.
+const driveIdPattern = /^[\w-]{25,}$/;
+
+// Drive images are served from here; appending `=s<size>` asks for a
+// thumbnail whose longest side is that many pixels.
+const DRIVE_IMAGE_URL = "https://lh3.googleusercontent.com/d/";
+
+/**
+ * Extracts the file id from a Google Drive share link or a bare file id.
+ * @param {string} url - The trimmed cell value.
+ * @returns {?string} The file id, or null for anything else.
+ */
+function driveFileId(url) {
+  return driveLinkPattern.exec(url)?.[1] ?? (driveIdPattern.test(url) ? url : null);
+}
+
 // --- Parsers for each data field ---
 
 const parse = {
@@ -43,17 +214,16 @@ const parse = {
     return isNaN(id) ? null : id;
   },
 
-  target_age: (v, { normalizedTargetAge }) => {
-    const ageValue = parseInt(v, 10);
-    if (
-      v == null ||
-      isNaN(ageValue) ||
-      ageValue < normalizedTargetAge ||
-      ageValue > 100
-    ) {
+  // See `targetAgeModes` for how `targetAgeMode` changes the result.
+  target_age: (v, { normalizedTargetAge, targetAgeMode = "decade" }) => {
+    const ageValue = exactTargetAge(v);
+    if (targetAgeMode === "none") {
+      return ageValue;
+    }
+    if (ageValue === null || ageValue < normalizedTargetAge) {
       return normalizedTargetAge;
     }
-    return Math.floor(ageValue / 10) * 10;
+    return targetAgeMode === "exact" ? ageValue : Math.floor(ageValue / 10) * 10;
   },
 
   completed: (() => {
@@ -62,13 +232,34 @@ const parse = {
     return (v) => v === true || truthy.has(safeTrim(v).toLowerCase());
   })(),
 
+  // Drive share links and bare file ids become directly embeddable URLs.
   image_url: (v) => {
     const url = safeTrim(v);
+    const fileId = driveFileId(url);
+    if (fileId) {
+      return `${DRIVE_IMAGE_URL}${fileId}`;
+    }
     return /^(https?:\/\/|data:image\/)/.test(url) ? url : "";
   },
 
   string: (v) => safeTrim(v),
 
+  // Splits on commas (including the Japanese "、" and "，") and newlines, and
+  // drops blank and repeated tags. Repeats are compared case-insensitively
+  // and the first spelling wins.
+  tags: (v) => {
+    const seen = new Set();
+    return safeTrim(v)
+      .split(/[,、，\r\n]/)
+      .map((tag) => safeTrim(tag).replace(/\s+/g, " "))
+      .filter((tag) => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  },
+
   completed_at: (v) => {
     if (v instanceof Date && !isNaN(v)) {
       return v.toISOString();
@@ -85,25 +276,260 @@ const parse = {
   default: (v) => v,
 };
 
+/**
+ * Makes `completed_at` agree with `completed` on a parsed item, in place.
+ * Shared by the read path and the write API so both stamp dates the same way.
+ * @param {Object} obj - A parsed bucket list item.
+ * @param {string} nowISO - The current time as an ISO string.
+ */
+function enforceCompletionConsistency(obj, nowISO) {
+  if (obj.completed) {
+    // A valid completed_at must be a non-future ISO string.
+    // String comparison works for ISO 8601 format.
+    if (!obj.completed_at || obj.completed_at > nowISO) {
+      obj.completed_at = nowISO;
+    }
+  } else {
+    // If not completed, completed_at must be null.
+    obj.completed_at = null;
+  }
+}
+
+// How `target_age` is normalized, selected with the `normalization` query
+// parameter. `decade` floors ages to their decade; `exact` keeps the age as
+// written. Both replace blank, invalid and past targets with the decade of
+// the owner's current age. `none` returns the age as written, or null.
+const targetAgeModes = ["decade", "exact", "none"];
+
+/**
+ * Reads the age a `target_age` cell asks for.
+ * @param {*} v - The raw cell value, or an already parsed age.
+ * @returns {?number} The age, or null when the cell is not an age from 0
+ *     to 100.
+ */
+function exactTargetAge(v) {
+  const ageValue = parseInt(v, 10);
+  return isNaN(ageValue) || ageValue < 0 || ageValue > 100 ? null : ageValue;
+}
+
+/**
+ * Reads the decade a `target_age` cell asks for, before `parse.target_age`
+ * rolls past decades forward to the owner's current one.
+ * @param {*} v - The raw cell value, or an already parsed age.
+ * @returns {?number} The decade, or null when the cell is not an age.
+ */
+function targetDecade(v) {
+  const ageValue = exactTargetAge(v);
+  return ageValue === null ? null : Math.floor(ageValue / 10) * 10;
+}
+
+/**
+ * Sets `target_age_raw`, `target_age_decade` and
+ * `target_age_rolled_forward` on an item in place, so clients can tell what
+ * the sheet asked for whatever the normalization.
+ * @param {Object} obj - A parsed bucket list item.
+ * @param {*} rawTargetAge - The item's `target_age` cell.
+ * @param {number} normalizedTargetAge - The decade of the owner's age.
+ */
+function setTargetAgeDetails(obj, rawTargetAge, normalizedTargetAge) {
+  obj.target_age_raw = exactTargetAge(rawTargetAge);
+  obj.target_age_decade = targetDecade(rawTargetAge);
+  obj.target_age_rolled_forward =
+    obj.target_age_decade !== null && obj.target_age_decade < normalizedTargetAge;
+}
+
+/**
+ * Classifies an item by its deadline.
+ * @param {Object} obj - An item with `completed` and `days_remaining`.
+ * @param {number} dueSoonDays - How many days before the deadline an open
+ *     item counts as due soon.
+ * @returns {string} "done", "overdue", "due_soon" or "on_track".
+ */
+function deadlineStatus(obj, dueSoonDays) {
+  if (obj.completed) {
+    return "done";
+  }
+  if (obj.days_remaining <= 0) {
+    return "overdue";
+  }
+  return obj.days_remaining <= dueSoonDays ? "due_soon" : "on_track";
+}
+
+/**
+ * Sets `deadline_date`, `days_remaining` and `status` on an item in place.
+ * The deadline is the birthday that ends the decade the sheet asks for, so
+ * an item whose decade has passed is overdue even though its `target_age`
+ * was rolled forward.
+ * @param {Object} obj - A parsed bucket list item.
+ * @param {*} rawTargetAge - The item's `target_age` cell.
+ * @param {Object} context - The context from `createParseContext`.
+ */
+function setDeadline(obj, rawTargetAge, context) {
+  const decade = targetDecade(rawTargetAge) ?? context.normalizedTargetAge;
+  obj.deadline_date = decadeEndDate(context.birthDate, decade, context.timeZone);
+  obj.days_remaining = Math.round(
+    (Date.parse(obj.deadline_date) - Date.parse(context.today)) / 86400000
+  );
+  obj.status = deadlineStatus(obj, context.dueSoonDays);
+}
+
+/**
+ * Sets `completed_on`, the local date of `completed_at`, on an item in place.
+ * @param {Object} obj - A parsed bucket list item.
+ * @param {string} timeZone - The time zone whose calendar to use.
+ */
+function setCompletedOn(obj, timeZone) {
+  obj.completed_on = obj.completed_at ? localDate(obj.completed_at, timeZone) : null;
+}
+
 // Map headers to their respective parser functions.
 const headerToParserMap = {
   id: parse.id,
   target_age: parse.target_age,
   completed: parse.completed,
+  // Items marked private are hidden from callers without the read scope.
+  private: parse.completed,
   image_url: parse.image_url,
   category: parse.string,
   title: parse.string,
   note: parse.string,
+  tags: parse.tags,
   completed_at: parse.completed_at,
+  // Archived items are hidden from `doGet` unless `include=archived`.
+  archived: parse.completed,
+  deleted_at: parse.completed_at,
+};
+
+// The columns of a list sheet: those every sheet must have, and the other
+// names they may go by. Alias keys are matched after `foldHeader`, and the
+// HEADER_ALIASES setting can add more (see `parseHeaderAliases`).
+const listSchema = {
+  required: [
+    "id",
+    "target_age",
+    "completed",
+    "image_url",
+    "category",
+    "title",
+    "note",
+    "completed_at",
+  ],
+  aliases: {
+    番号: "id",
+    目標年齢: "target_age",
+    完了: "completed",
+    非公開: "private",
+    画像: "image_url",
+    カテゴリ: "category",
+    カテゴリー: "category",
+    タイトル: "title",
+    メモ: "note",
+    備考: "note",
+    タグ: "tags",
+    完了日: "completed_at",
+    アーカイブ: "archived",
+    削除日: "deleted_at",
+  },
+  // Fields the API computes for every item. A column with one of these
+  // names is renamed, or rejected in strict mode (see `selectColumns`).
+  computed: [
+    "target_age_raw",
+    "target_age_decade",
+    "target_age_rolled_forward",
+    "completed_on",
+    "deadline_date",
+    "days_remaining",
+    "status",
+    "steps",
+    "progress",
+    "image",
+  ],
 };
 
+/**
+ * Finds the columns named after a computed field.
+ * @param {string[]} headers - The canonical header row.
+ * @returns {string[]} The reserved names used, each once.
+ */
+function findReservedHeaders(headers) {
+  return [...new Set(headers.filter((h) => listSchema.computed.includes(h)))];
+}
+
+/**
+ * Picks the columns to output. Outside strict mode every column is kept,
+ * and one named after a computed field is renamed with a `sheet_` prefix
+ * so the computed value does not overwrite it. In strict mode the header
+ * row must contain each required header exactly once and no computed field
+ * name, and unknown columns are dropped unless listed in `extraHeaders` or
+ * declared in `customFields`.
+ * @param {string[]} headers - The canonical header row.
+ * @param {Object} options - The options of `convertSheetDataToObjects`.
+ * @returns {Array<?string>} The headers, with dropped columns set to null.
+ * @throws {SchemaError} 422 in strict mode when a required header is
+ *     missing or repeated, or a header is reserved.
+ */
+function selectColumns(headers, options) {
+  if (!options.strictSchema) {
+    return headers.map((h) => (listSchema.computed.includes(h) ? `sheet_${h}` : h));
+  }
+  const missing = listSchema.required.filter((h) => !headers.includes(h));
+  const repeated = headers.filter((h, i) => h && headers.indexOf(h) !== i);
+  const problems = [
+    ...missing.map((h) => `missing header '${h}'`),
+    ...[...new Set(repeated)].map((h) => `duplicate header '${h}'`),
+    ...findReservedHeaders(headers).map((h) => `reserved header '${h}'`),
+  ];
+  if (problems.length > 0) {
+    throw new SchemaError(problems);
+  }
+  const parsers = createFieldParsers(options.customFields);
+  const extraHeaders = options.extraHeaders ?? [];
+  return headers.map((h) =>
+    Object.prototype.hasOwnProperty.call(parsers, h) || extraHeaders.includes(h)
+      ? h
+      : null
+  );
+}
+
+/**
+ * Marks an item with a `deleted_at` date as archived, in place, when the
+ * sheet has either column, so `archived` alone tells whether it is hidden.
+ * @param {Object} obj - A parsed bucket list item.
+ */
+function enforceArchiveConsistency(obj) {
+  if ("archived" in obj || "deleted_at" in obj) {
+    obj.archived = Boolean(obj.archived || obj.deleted_at);
+  }
+}
+
 /**
  * Converts spreadsheet data (2D array) into an array of objects.
  * The first row of the data is used as keys for the objects.
  * @param {any[][]} data - The 2D array from sheet.getValues().
+ * @param {Object} [options] - Conversion options.
+ * @param {Date} [options.birthDate] - The owner's birth date. Defaults to the
+ *     configured BIRTH_DATE.
+ * @param {Date} [options.now] - The time to evaluate the list at: ages and
+ *     future `completed_at` dates are judged against it. Defaults to the
+ *     current time.
+ * @param {string} [options.timeZone] - The IANA time zone whose calendar
+ *     ages and `completed_on` dates use. Defaults to the script's time zone.
+ * @param {string} [options.targetAgeMode] - How to normalize `target_age`,
+ *     one of `targetAgeModes`. Defaults to "decade".
+ * @param {number} [options.dueSoonDays] - How many days before its deadline
+ *     an open item is `due_soon`. Defaults to DUE_SOON_DAYS' default.
+ * @param {boolean} [options.strictSchema] - Check the header row against
+ *     `listSchema` and drop unknown columns.
+ * @param {string[]} [options.extraHeaders] - Unknown columns to keep in
+ *     strict mode.
+ * @param {Object} [options.headerAliases] - Header aliases mapped to field
+ *     names. Defaults to the built-in `listSchema.aliases`.
+ * @param {Object} [options.customFields] - Typed extra columns, keyed by
+ *     field name (see `parseCustomFields`).
  * @returns {Object[]} An array of objects.
+ * @throws {SchemaError} 422 in strict mode when the header row is invalid.
  */
-export function convertSheetDataToObjects(data) {
+export function convertSheetDataToObjects(data, options = {}) {
   // Guard against non-array or empty inputs.
   if (!Array.isArray(data) || data.length === 0) {
     return [];
@@ -113,39 +539,318 @@ export function convertSheetDataToObjects(data) {
   if (!headerRow) return [];
 
   // Normalize headers to be robust against variations.
-  const normalizedHeaders = headerRow.map((h) => safeTrim(h).toLowerCase());
+  const normalizedHeaders = selectColumns(
+    headerRow.map((h) => canonicalHeader(h, options.headerAliases)),
+    options
+  );
 
-  const now = new Date();
-  const nowISO = now.toISOString();
-  const actualAge = calculateAge(BIRTH_DATE, now);
-  const normalizedTargetAge = Math.floor(actualAge / 10) * 10;
+  const parseContext = createParseContext(options);
+  const { nowISO, normalizedTargetAge, timeZone } = parseContext;
   // Pass only primitive, pre-calculated values to the context.
-  const context = { normalizedTargetAge };
+  const context = { normalizedTargetAge, targetAgeMode: options.targetAgeMode };
+  const parsers = createFieldParsers(options.customFields);
+  const targetAgeIndex = normalizedHeaders.indexOf("target_age");
 
   return rows.map((row) => {
     const obj = normalizedHeaders.reduce((acc, header, index) => {
+      if (header === null) {
+        return acc;
+      }
       const value = row[index];
-      const parser = headerToParserMap[header] || parse.default;
+      const parser = Object.prototype.hasOwnProperty.call(parsers, header)
+        ? parsers[header]
+        : parse.default;
       acc[header] = parser(value, context);
       return acc;
     }, {});
 
     // Post-processing to enforce consistency.
-    if (obj.completed) {
-      // A valid completed_at must be a non-future ISO string.
-      // String comparison works for ISO 8601 format.
-      if (!obj.completed_at || obj.completed_at > nowISO) {
-        obj.completed_at = nowISO;
-      }
-    } else {
-      // If not completed, completed_at must be null.
-      obj.completed_at = null;
+    enforceCompletionConsistency(obj, nowISO);
+    setCompletedOn(obj, timeZone);
+    enforceArchiveConsistency(obj);
+    if (targetAgeIndex !== -1) {
+      setTargetAgeDetails(obj, row[targetAgeIndex], normalizedTargetAge);
+      setDeadline(obj, row[targetAgeIndex], parseContext);
     }
 
     return obj;
   });
 }
 
+// --- Custom fields ---
+
+// Converts a cell to a number, or NaN when it is blank or not numeric.
+// Thousands separators are ignored, so "1,200" is 1200.
+const readNumber = (v) => {
+  if (typeof v === "number") {
+    return v;
+  }
+  const text = safeTrim(v).replace(/,/g, "");
+  return text ? Number(text) : NaN;
+};
+
+// Field types the CUSTOM_FIELDS setting can declare. `parser` takes the field
+// definition and returns a parser that, like the built-in ones, never throws
+// and returns null (or an empty list) for a blank or invalid cell. `schema`
+// describes the parsed value in OpenAPI terms.
+const customFieldTypes = {
+  string: {
+    parser: () => parse.string,
+    schema: () => ({ type: "string" }),
+  },
+
+  integer: {
+    parser: ({ min = -Infinity, max = Infinity }) => (v) => {
+      const n = readNumber(v);
+      return Number.isInteger(n) && n >= min && n <= max ? n : null;
+    },
+    schema: ({ min, max }) => ({
+      type: "integer",
+      minimum: min,
+      maximum: max,
+      nullable: true,
+    }),
+  },
+
+  number: {
+    parser: ({ min = -Infinity, max = Infinity }) => (v) => {
+      const n = readNumber(v);
+      return Number.isFinite(n) && n >= min && n <= max ? n : null;
+    },
+    schema: ({ min, max }) => ({
+      type: "number",
+      minimum: min,
+      maximum: max,
+      nullable: true,
+    }),
+  },
+
+  // Matches case-insensitively and returns the value as declared.
+  enum: {
+    parser: ({ values }) => (v) =>
+      values.find(
+        (value) => value.toLowerCase() === safeTrim(v).toLowerCase()
+      ) ?? null,
+    schema: ({ values }) => ({ type: "string", enum: values, nullable: true }),
+  },
+
+  boolean: {
+    parser: () => {
+      const truthy = new Set(["true", "1", "yes"]);
+      const falsy = new Set(["false", "0", "no"]);
+      return (v) => {
+        if (typeof v === "boolean") return v;
+        const text = safeTrim(v).toLowerCase();
+        if (truthy.has(text)) return true;
+        return falsy.has(text) ? false : null;
+      };
+    },
+    schema: () => ({ type: "boolean", nullable: true }),
+  },
+
+  date: {
+    parser: () => parse.completed_at,
+    schema: () => ({ type: "string", format: "date-time", nullable: true }),
+  },
+
+  url: {
+    parser: () => (v) => {
+      const url = safeTrim(v);
+      return /^https?:\/\//.test(url) ? url : null;
+    },
+    schema: () => ({ type: "string", format: "uri", nullable: true }),
+  },
+
+  list: {
+    parser: () => (v) => safeTrim(v).split(",").map(safeTrim).filter(Boolean),
+    schema: () => ({ type: "array", items: { type: "string" } }),
+  },
+};
+
+/**
+ * Builds a map from each custom field's name to a value derived from it.
+ * @param {Object} [customFields] - Field definitions keyed by field name.
+ * @param {function(string, Object): *} build - Receives a field name and
+ *     its definition.
+ * @returns {Object} The built values, keyed by field name.
+ */
+function mapCustomFields(customFields = {}, build) {
+  return Object.entries(customFields).reduce((acc, [name, definition]) => {
+    acc[name] = build(name, definition);
+    return acc;
+  }, {});
+}
+
+/**
+ * Combines the built-in parsers with those of the custom fields. Built-in
+ * fields cannot be redefined.
+ * @param {Object} [customFields] - Field definitions keyed by field name.
+ * @returns {Object} Parsers keyed by field name.
+ */
+function createFieldParsers(customFields) {
+  return {
+    ...mapCustomFields(customFields, (name, definition) =>
+      customFieldTypes[definition.type].parser(definition)
+    ),
+    ...headerToParserMap,
+  };
+}
+
+/**
+ * Describes the custom fields as an OpenAPI schema object, for the
+ * `schema` view. Items carry these properties next to the built-in ones.
+ * @param {Object} [customFields] - Field definitions keyed by field name.
+ * @returns {{type: string, properties: Object}} The schema.
+ */
+function describeCustomFields(customFields) {
+  return {
+    type: "object",
+    properties: mapCustomFields(customFields, (name, definition) =>
+      customFieldTypes[definition.type].schema(definition)
+    ),
+  };
+}
+
+// --- Validation ---
+
+// Explains why `convertSheetDataToObjects` changed a cell. Each diagnoser
+// receives the raw cell value, the converted item and the parse context, and
+// returns a reason code, or null when the value was taken as-is.
+const fieldDiagnosers = {
+  id: (v, item) => {
+    if (!safeTrim(v)) return "missing_id";
+    if (item.id === null) return "invalid_id";
+    return String(item.id) === safeTrim(v) ? null : "id_truncated";
+  },
+
+  target_age: (v, item, { normalizedTargetAge }) => {
+    const ageValue = parseInt(v, 10);
+    if (!safeTrim(v)) return "missing_target_age";
+    if (isNaN(ageValue)) return "invalid_target_age";
+    if (ageValue < 0 || ageValue > 100) return "target_age_out_of_range";
+    if (ageValue < normalizedTargetAge) return "target_age_rolled_forward";
+    return item.target_age === ageValue ? null : "target_age_rounded";
+  },
+
+  completed: (v) => {
+    const recognized = ["", "true", "false", "1", "0", "yes", "no"];
+    return typeof v === "boolean" || recognized.includes(safeTrim(v).toLowerCase())
+      ? null
+      : "unrecognized_boolean";
+  },
+
+  image_url: (v, item) => {
+    if (!safeTrim(v)) return null;
+    if (!item.image_url) return "invalid_image_url";
+    return item.image_url === safeTrim(v) ? null : "drive_link_rewritten";
+  },
+
+  completed_at: (v, item, { nowISO }) => {
+    const parsed = parse.completed_at(v);
+    const present = v instanceof Date || safeTrim(v) !== "";
+    if (present && parsed === null) return "invalid_date";
+    if (!item.completed) return present ? "completed_at_discarded" : null;
+    if (!present) return "missing_completed_at";
+    return parsed > nowISO ? "future_completed_at" : null;
+  },
+};
+
+/**
+ * Reports how `convertSheetDataToObjects` would change spreadsheet data,
+ * instead of coercing it silently.
+ * @param {any[][]} data - The 2D array from sheet.getValues().
+ * @param {Object} [options] - The options of `convertSheetDataToObjects`.
+ * @returns {{valid: boolean, missing_headers: string[],
+ *     reserved_headers: string[], duplicate_ids: {id: number, rows: number[]}[],
+ *     diagnostics: {row: number, id: ?number, field: string, value: *,
+ *     coerced: *, reason: string}[]}} The report. Rows are sheet row
+ *     numbers, so the first data row is 2.
+ */
+export function validateSheetData(data, options = {}) {
+  const [headerRow = [], ...rows] = Array.isArray(data) ? data : [];
+  const headers = headerRow.map((h) => canonicalHeader(h, options.headerAliases));
+  const reservedHeaders = findReservedHeaders(headers);
+  const items = convertSheetDataToObjects(data, { ...options, strictSchema: false });
+  const context = createParseContext(options);
+  const diagnosers = {
+    ...mapCustomFields(options.customFields, (name) => (v, item) =>
+      safeTrim(v) && item[name] === null ? "invalid_value" : null
+    ),
+    ...fieldDiagnosers,
+  };
+
+  const diagnostics = [];
+  const rowsById = new Map();
+  items.forEach((item, i) => {
+    const row = i + 2;
+    headers.forEach((header, index) => {
+      const reason =
+        Object.prototype.hasOwnProperty.call(diagnosers, header) &&
+        diagnosers[header](rows[i][index], item, context);
+      if (reason) {
+        diagnostics.push({
+          row,
+          id: item.id,
+          field: header,
+          value: rows[i][index] ?? null,
+          coerced: item[header],
+          reason,
+        });
+      }
+    });
+    if (item.id !== null) {
+      rowsById.set(item.id, [...(rowsById.get(item.id) ?? []), row]);
+    }
+  });
+
+  const missingHeaders = listSchema.required.filter((h) => !headers.includes(h));
+  const duplicateIds = [...rowsById]
+    .filter(([, idRows]) => idRows.length > 1)
+    .map(([id, idRows]) => ({ id, rows: idRows }));
+  return {
+    valid:
+      missingHeaders.length === 0 &&
+      reservedHeaders.length === 0 &&
+      duplicateIds.length === 0 &&
+      diagnostics.length === 0,
+    missing_headers: missingHeaders,
+    reserved_headers: reservedHeaders,
+    duplicate_ids: duplicateIds,
+    diagnostics,
+  };
+}
+
+/**
+ * An error carrying an HTTP status code. Request helpers throw it and the
+ * handlers turn it into a JSON error response.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {number} statusCode - The HTTP status code.
+   */
+  constructor(message, statusCode) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * An HttpError raised when a list sheet's header row does not match
+ * `listSchema` in strict mode.
+ */
+export class SchemaError extends HttpError {
+  /**
+   * @param {string[]} problems - What is wrong, e.g. "missing header 'title'".
+   */
+  constructor(problems) {
+    super(`Sheet does not match the schema: ${problems.join("; ")}.`, 422);
+    this.name = "SchemaError";
+    this.problems = problems;
+  }
+}
+
 /**
  * Creates a JSON error response.
  * @param {string} message - The error message.
@@ -182,40 +887,2333 @@ function isValidCallback(callback) {
 }
 
 /**
- * Handles HTTP GET requests.
- * @param {Object} e - The event parameter containing request details.
+ * Creates a JSON response, or a JSONP response when the callback is valid.
+ * @param {*} result - The value to serialize.
+ * @param {string} [callback] - The requested JSONP callback name.
  * @returns {GoogleAppsScript.Content.TextOutput} The JSON or JSONP output.
  */
-export function doGet(e) {
-  const sheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-  const list = sheet.getSheetByName("list");
+function createJsonResponse(result, callback) {
+  if (isValidCallback(callback)) {
+    // Valid JSONP request
+    return ContentService.createTextOutput(
+      `${callback}(${JSON.stringify(result)});`
+    ).setMimeType(ContentService.MimeType.JAVASCRIPT);
+  }
+  // Standard JSON response, using TEXT as JSON is not a standard MimeType.
+  return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(
+    ContentService.MimeType.TEXT
+  );
+}
 
+/**
+ * Opens the sheet that holds the bucket list.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The list sheet.
+ * @throws {HttpError} 404 when the sheet does not exist.
+ */
+function openListSheet(profile) {
+  const list = profile.spreadsheet.getSheetByName(profile.sheetName);
   if (!list) {
-    return createErrorResponse("Sheet 'list' not found.", 404);
+    throw new HttpError(`Sheet '${profile.sheetName}' not found.`, 404);
   }
+  return list;
+}
 
-  const lastRow = list.getLastRow();
-  const lastCol = list.getLastColumn();
+/**
+ * Reads every populated cell of a sheet, header row included.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read.
+ * @returns {any[][]} The 2D array of values, or an empty array.
+ */
+function readSheetValues(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
 
-  let values = [];
   // Only fetch data if the sheet is not empty.
   if (lastRow > 0 && lastCol > 0) {
-    values = list.getRange(1, 1, lastRow, lastCol).getValues();
+    return sheet.getRange(1, 1, lastRow, lastCol).getValues();
   }
+  return [];
+}
 
-  const result = convertSheetDataToObjects(values);
-  // Handle cases where `e` is undefined (e.g., direct execution from editor).
-  const callback = e?.parameter?.callback;
+// --- Configuration ---
 
-  if (isValidCallback(callback)) {
-    // Valid JSONP request
-    return ContentService.createTextOutput(
-      `${callback}(${JSON.stringify(result)});`
-    ).setMimeType(ContentService.MimeType.JAVASCRIPT);
-  } else {
-    // Standard JSON response, using TEXT as JSON is not a standard MimeType.
-    return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(
-      ContentService.MimeType.TEXT
-    );
+/**
+ * Reads key/value settings from the optional "config" sheet, where column A
+ * holds the setting name and column B its value.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+ * @returns {Object} The settings, or an empty object without a config sheet.
+ */
+function readConfigSheet(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName("config");
+  if (!sheet) {
+    return {};
+  }
+  return readSheetValues(sheet).reduce((acc, [key, value]) => {
+    if (safeTrim(key)) {
+      acc[safeTrim(key)] = value;
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Picks the first non-empty value for a setting from the given sources.
+ * @param {Object[]} sources - Setting maps, highest precedence first.
+ * @param {string} name - The setting name.
+ * @returns {string} The trimmed value, or "" when no source sets it.
+ */
+function pickSetting(sources, name) {
+  const source = sources.find((settings) => safeTrim(settings[name]));
+  return source ? safeTrim(source[name]) : "";
+}
+
+/**
+ * Checks whether a string is an IANA time zone name the runtime knows.
+ * @param {string} timeZone - The time zone name, e.g. "Asia/Tokyo".
+ * @returns {boolean} True if the time zone is valid.
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Builds the header alias table from the HEADER_ALIASES setting, a JSON
+ * object mapping sheet headers to field names, e.g. `{"やりたいこと": "title"}`.
+ * Configured aliases take precedence over the built-in ones.
+ * @param {string} setting - The setting value, or "" for none.
+ * @returns {Object} The aliases, keyed and valued by folded header.
+ * @throws {HttpError} 500 when the setting is not such an object.
+ */
+function parseHeaderAliases(setting) {
+  if (!setting) {
+    return listSchema.aliases;
+  }
+  let aliases;
+  try {
+    aliases = JSON.parse(setting);
+  } catch (err) {
+    aliases = null;
+  }
+  if (
+    aliases === null ||
+    typeof aliases !== "object" ||
+    Array.isArray(aliases) ||
+    !Object.values(aliases).every((field) => foldHeader(field) !== "")
+  ) {
+    throw new HttpError("Invalid setting 'HEADER_ALIASES'.", 500);
+  }
+  return Object.entries(aliases).reduce(
+    (acc, [alias, field]) => {
+      acc[foldHeader(alias)] = foldHeader(field);
+      return acc;
+    },
+    { ...listSchema.aliases }
+  );
+}
+
+/**
+ * Reads field definitions from the CUSTOM_FIELDS setting, a JSON object
+ * mapping column names to a type from `customFieldTypes`, e.g.
+ * `{"cost": "number", "priority": {"type": "integer", "min": 1, "max": 5},
+ * "size": {"type": "enum", "values": ["S", "M", "L"]}}`. Number types take
+ * optional `min` and `max`; enums require `values`.
+ * @param {string} setting - The setting value, or "" for none.
+ * @returns {Object} Definitions with a `type`, keyed by folded field name.
+ * @throws {HttpError} 500 when a definition is invalid or names a built-in
+ *     or computed field.
+ */
+function parseCustomFields(setting) {
+  let fields = {};
+  try {
+    fields = setting ? JSON.parse(setting) : {};
+  } catch (err) {
+    fields = null;
+  }
+  if (fields === null || typeof fields !== "object" || Array.isArray(fields)) {
+    throw new HttpError("Invalid setting 'CUSTOM_FIELDS'.", 500);
+  }
+  return Object.entries(fields).reduce((acc, [key, value]) => {
+    const name = foldHeader(key);
+    const definition = typeof value === "string" ? { type: value } : value;
+    const valid =
+      name !== "" &&
+      !Object.prototype.hasOwnProperty.call(headerToParserMap, name) &&
+      !listSchema.computed.includes(name) &&
+      Object.prototype.hasOwnProperty.call(customFieldTypes, definition?.type) &&
+      ["min", "max"].every(
+        (bound) => definition[bound] === undefined || typeof definition[bound] === "number"
+      ) &&
+      (definition.type !== "enum" ||
+        (Array.isArray(definition.values) &&
+          definition.values.length > 0 &&
+          definition.values.every((v) => typeof v === "string")));
+    if (!valid) {
+      throw new HttpError("Invalid setting 'CUSTOM_FIELDS'.", 500);
+    }
+    acc[name] = definition;
+    return acc;
+  }, {});
+}
+
+/**
+ * Reads the settings row of one user from the optional "users" sheet. Its
+ * header row names the columns: `user` plus any of `spreadsheet_id`,
+ * `sheet_name`, `birth_date` and `time_zone`.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+ * @param {string} user - The user name, matched case-insensitively.
+ * @returns {Object} The user's settings, keyed like Script Properties.
+ * @throws {HttpError} 404 when the user is not listed.
+ */
+function readUserSettings(spreadsheet, user) {
+  const sheet = spreadsheet.getSheetByName("users");
+  const [headerRow = [], ...rows] = sheet ? readSheetValues(sheet) : [];
+  const headers = headerRow.map(normalizeHeader);
+  const userIndex = headers.indexOf("user");
+  const row = rows.find(
+    (r) => userIndex >= 0 && normalizeHeader(r[userIndex]) === user.toLowerCase()
+  );
+  if (!row) {
+    throw new HttpError(`User '${user}' not found.`, 404);
   }
+  return headers.reduce((acc, header, i) => {
+    acc[header.toUpperCase()] = row[i];
+    return acc;
+  }, {});
+}
+
+/**
+ * Lists the family members named in the optional "users" sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The
+ *     owner's spreadsheet.
+ * @returns {string[]} The user names as written, in sheet order.
+ */
+function listUsers(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName("users");
+  const [headerRow = [], ...rows] = sheet ? readSheetValues(sheet) : [];
+  const userIndex = headerRow.map(normalizeHeader).indexOf("user");
+  return userIndex < 0 ? [] : rows.map((r) => safeTrim(r[userIndex])).filter(Boolean);
+}
+
+/**
+ * Tells whether a row of a sheet the family may share belongs to the
+ * profile's user. A blank user cell belongs to whoever keeps their list in
+ * the sheet's spreadsheet: the owner in the shared spreadsheet, or the
+ * member in a spreadsheet of their own.
+ * @param {*} cell - The row's `user` cell.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @returns {boolean} True when the cell names the profile's user, compared
+ *     case-insensitively, or is blank in the profile's own spreadsheet.
+ */
+function isRowOfUser(cell, profile) {
+  const name = normalizeHeader(cell);
+  return name ? name === normalizeHeader(profile.user) : !profile.sharesSpreadsheet;
+}
+
+/**
+ * Validates settings and assembles a profile from them.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The
+ *     spreadsheet holding the list.
+ * @param {Object[]} sources - Setting maps, highest precedence first.
+ * @param {string} user - The selected user, or "" for the owner.
+ * @returns {Object} The profile (see `loadProfile`).
+ * @throws {HttpError} 500 when a required setting is missing or invalid.
+ */
+function createProfile(spreadsheet, sources, user) {
+  const birthDateSetting = pickSetting(sources, "BIRTH_DATE");
+  if (!birthDateSetting) {
+    throw new HttpError("Missing required setting 'BIRTH_DATE'.", 500);
+  }
+  if (isNaN(new Date(birthDateSetting).getTime())) {
+    throw new HttpError("Invalid setting 'BIRTH_DATE'.", 500);
+  }
+  const timeZone = pickSetting(sources, "TIME_ZONE") || Session.getScriptTimeZone();
+  if (!isValidTimeZone(timeZone)) {
+    throw new HttpError("Invalid setting 'TIME_ZONE'.", 500);
+  }
+  // A date without a time is a day on the calendar of TIME_ZONE, not UTC.
+  const birthDate = /^\d{4}-\d{2}-\d{2}$/.test(birthDateSetting)
+    ? startOfLocalDay(birthDateSetting, timeZone)
+    : new Date(birthDateSetting);
+  // CacheService keeps values for at most six hours.
+  const cacheTtl = pickSetting(sources, "CACHE_TTL_SECONDS");
+  if (!/^\d+$/.test(cacheTtl) || parseInt(cacheTtl, 10) > 21600) {
+    throw new HttpError("Invalid setting 'CACHE_TTL_SECONDS'.", 500);
+  }
+  const dueSoonDays = pickSetting(sources, "DUE_SOON_DAYS");
+  if (!/^\d+$/.test(dueSoonDays)) {
+    throw new HttpError("Invalid setting 'DUE_SOON_DAYS'.", 500);
+  }
+  const headerAliases = parseHeaderAliases(pickSetting(sources, "HEADER_ALIASES"));
+
+  return {
+    user,
+    spreadsheet,
+    sheetName: pickSetting(sources, "SHEET_NAME"),
+    stepsSheetName: pickSetting(sources, "STEPS_SHEET_NAME"),
+    autoCompleteSteps: parse.completed(pickSetting(sources, "AUTO_COMPLETE_STEPS")),
+    historySheetName: pickSetting(sources, "HISTORY_SHEET_NAME"),
+    birthDate,
+    timeZone,
+    publicRead: parse.completed(pickSetting(sources, "PUBLIC_READ")),
+    privateFields: pickSetting(sources, "PRIVATE_FIELDS")
+      .split(",")
+      .map((h) => canonicalHeader(h, headerAliases))
+      .filter(Boolean),
+    strictSchema: parse.completed(pickSetting(sources, "STRICT_SCHEMA")),
+    extraHeaders: pickSetting(sources, "EXTRA_HEADERS")
+      .split(",")
+      .map((h) => canonicalHeader(h, headerAliases))
+      .filter(Boolean),
+    headerAliases,
+    customFields: parseCustomFields(pickSetting(sources, "CUSTOM_FIELDS")),
+    cacheTtl: parseInt(cacheTtl, 10),
+    dueSoonDays: parseInt(dueSoonDays, 10),
+    imageMetadata: parse.completed(pickSetting(sources, "IMAGE_METADATA")),
+    feedTitle: pickSetting(sources, "FEED_TITLE"),
+  };
+}
+
+/**
+ * Loads the owner profile, or the profile of one family member. Each
+ * setting is taken from the member's row in the "users" sheet (when a user
+ * is given), then Script Properties, then the "config" sheet, then the
+ * build-time defaults from config.json, then `DEFAULT_CONFIG`.
+ * SPREADSHEET_ID cannot come from the config sheet, since it names the
+ * spreadsheet that holds it.
+ * @param {string} [user] - The user whose list to serve; empty for the owner.
+ * @returns {{user: string, spreadsheet: GoogleAppsScript.Spreadsheet.Spreadsheet,
+ *     sheetName: string, stepsSheetName: string, autoCompleteSteps: boolean,
+ *     historySheetName: string, birthDate: Date, timeZone: string,
+ *     publicRead: boolean, privateFields: string[], cacheTtl: number,
+ *     dueSoonDays: number, imageMetadata: boolean,
+ *     feedTitle: string, strictSchema: boolean, extraHeaders: string[],
+ *     headerAliases: Object, customFields: Object,
+ *     sharesSpreadsheet: boolean}} The profile. `sharesSpreadsheet` is true
+ *     for a member whose list is in the owner's spreadsheet.
+ * @throws {HttpError} 404 for an unknown user, or 500 when a required
+ *     setting is missing or invalid.
+ */
+export function loadProfile(user) {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  const spreadsheetId = pickSetting([properties, BUILD_CONFIG], "SPREADSHEET_ID");
+  if (!spreadsheetId) {
+    throw new HttpError("Missing required setting 'SPREADSHEET_ID'.", 500);
+  }
+  const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+  const sources = [
+    properties,
+    readConfigSheet(spreadsheet),
+    BUILD_CONFIG,
+    DEFAULT_CONFIG,
+  ];
+
+  const name = safeTrim(user);
+  if (!name) {
+    return { ...createProfile(spreadsheet, sources, ""), sharesSpreadsheet: false };
+  }
+  const userSettings = readUserSettings(spreadsheet, name);
+  const userSpreadsheetId = pickSetting([userSettings], "SPREADSHEET_ID");
+  const sharesSpreadsheet = !userSpreadsheetId || userSpreadsheetId === spreadsheetId;
+  // Users are matched case-insensitively; use the name as written in the
+  // users sheet so feed GUIDs, calendar UIDs and cache keys stay stable.
+  const profile = createProfile(
+    sharesSpreadsheet ? spreadsheet : SpreadsheetApp.openById(userSpreadsheetId),
+    [userSettings, ...sources],
+    safeTrim(userSettings.USER)
+  );
+  return { ...profile, sharesSpreadsheet };
+}
+
+// --- Authentication ---
+
+// Scopes a token can be granted. "admin" implies every other scope.
+const tokenScopes = ["read", "write", "admin"];
+
+/**
+ * Computes the SHA-256 digest of a string.
+ * @param {string} text - The text to hash, encoded as UTF-8.
+ * @returns {string} The lowercase hex digest.
+ */
+function sha256Hex(text) {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    text,
+    Utilities.Charset.UTF_8
+  );
+  // Digest bytes are signed, so mask them before formatting.
+  return digest.map((b) => ((b & 0xff) + 0x100).toString(16).slice(1)).join("");
+}
+
+/**
+ * Hashes an API token the way it is stored in the API_TOKENS property.
+ * @param {string} token - The plain-text token.
+ * @returns {string} The lowercase hex SHA-256 digest.
+ */
+export function hashToken(token) {
+  return sha256Hex(token);
+}
+
+/**
+ * Identifies the caller from a plain-text token. Tokens are configured in
+ * the API_TOKENS Script Property as JSON mapping each token's SHA-256 hash
+ * to its name and scopes, e.g. `{"<hash>": {"name": "ci", "scopes": ["write"]}}`.
+ * @param {string} [token] - The token sent with the request.
+ * @returns {{authenticated: boolean, name: string, scopes: string[]}} The
+ *     caller; anonymous callers have no name and no scopes.
+ * @throws {HttpError} 401 for an unknown token, or 500 when API_TOKENS is
+ *     not valid JSON.
+ */
+function authenticate(token) {
+  const raw = safeTrim(token);
+  if (!raw) {
+    return { authenticated: false, name: "", scopes: [] };
+  }
+  const setting =
+    PropertiesService.getScriptProperties().getProperty("API_TOKENS") || "{}";
+  let tokens;
+  try {
+    tokens = JSON.parse(setting);
+  } catch (err) {
+    throw new HttpError("Invalid setting 'API_TOKENS'.", 500);
+  }
+  const entry = tokens?.[hashToken(raw)];
+  if (!entry) {
+    throw new HttpError("Invalid token.", 401);
+  }
+  const scopes = Array.isArray(entry.scopes) ? entry.scopes : [];
+  return {
+    authenticated: true,
+    name: safeTrim(entry.name),
+    scopes: scopes.filter((scope) => tokenScopes.includes(scope)),
+  };
+}
+
+/**
+ * Checks whether a caller holds a scope.
+ * @param {{scopes: string[]}} auth - The caller from `authenticate`.
+ * @param {string} scope - The scope to check.
+ * @returns {boolean} True if the scope, or "admin", was granted.
+ */
+function hasScope(auth, scope) {
+  return auth.scopes.includes(scope) || auth.scopes.includes("admin");
+}
+
+/**
+ * Requires a caller to hold a scope.
+ * @param {{authenticated: boolean, scopes: string[]}} auth - The caller
+ *     from `authenticate`.
+ * @param {string} scope - The required scope.
+ * @throws {HttpError} 401 for anonymous callers, or 403 when the token
+ *     lacks the scope.
+ */
+function requireScope(auth, scope) {
+  if (hasScope(auth, scope)) {
+    return;
+  }
+  if (!auth.authenticated) {
+    throw new HttpError("Authentication required.", 401);
+  }
+  throw new HttpError(`Token lacks the '${scope}' scope.`, 403);
+}
+
+/**
+ * Hides private data from callers without the read scope: items marked
+ * `private` are dropped, and the profile's private fields are removed.
+ * @param {Object[]} items - Items from `convertSheetDataToObjects`.
+ * @param {{scopes: string[]}} auth - The caller from `authenticate`.
+ * @param {string[]} privateFields - Fields to strip for such callers.
+ * @returns {Object[]} The items the caller may see.
+ */
+function redactItems(items, auth, privateFields) {
+  if (hasScope(auth, "read")) {
+    return items;
+  }
+  return items
+    .filter((item) => !item.private)
+    .map((item) => {
+      const visible = { ...item };
+      ["private", ...privateFields].forEach((field) => delete visible[field]);
+      return visible;
+    });
+}
+
+// --- Caching ---
+
+// CacheService rejects values over 100KB, and Japanese text takes three
+// bytes per character in UTF-8, so payloads are stored in chunks.
+const CACHE_CHUNK_SIZE = 30000;
+
+// Query parameters that do not change the payload, left out of cache keys.
+const uncachedParams = [
+  "callback",
+  "nocache",
+  "token",
+  "envelope",
+  "if_none_match",
+  "if_modified_since",
+  // Every format renders the same cached payload.
+  "format",
+  "bom",
+  // The cache key scope holds the user as written in the users sheet.
+  "user",
+];
+
+/**
+ * Reads the cache version, which changes whenever the cache is invalidated.
+ * @returns {string} The version: the time of the last invalidation in
+ *     milliseconds, or "0" if the cache was never invalidated.
+ */
+function getCacheVersion() {
+  return (
+    PropertiesService.getScriptProperties().getProperty("CACHE_VERSION") || "0"
+  );
+}
+
+/**
+ * Invalidates every cached response by moving to a new cache version, so
+ * old entries are never read again and simply expire.
+ */
+export function invalidateCache() {
+  PropertiesService.getScriptProperties().setProperty(
+    "CACHE_VERSION",
+    String(Date.now())
+  );
+}
+
+/**
+ * Builds the cache key of a GET request.
+ * @param {string} version - The cache version.
+ * @param {Object} params - The request's query parameters.
+ * @param {Object} scope - Anything else the payload depends on.
+ * @returns {string} The cache key.
+ */
+function createCacheKey(version, params, scope) {
+  const parts = Object.keys(params)
+    .filter((name) => !uncachedParams.includes(name))
+    .sort()
+    .map((name) => [name, params[name]]);
+  return `bucket-list:${version}:${sha256Hex(JSON.stringify([scope, parts]))}`;
+}
+
+/**
+ * Reads a value stored by `writeCachedText`.
+ * @param {GoogleAppsScript.Cache.Cache} cache - The cache.
+ * @param {string} key - The cache key.
+ * @returns {string|null} The value, or null if it or any chunk is missing.
+ */
+function readCachedText(cache, key) {
+  const count = parseInt(cache.get(key), 10);
+  if (!(count > 0)) {
+    return null;
+  }
+  const keys = Array.from({ length: count }, (_, i) => `${key}:${i}`);
+  const chunks = cache.getAll(keys);
+  if (keys.some((chunkKey) => chunks[chunkKey] == null)) {
+    return null;
+  }
+  return keys.map((chunkKey) => chunks[chunkKey]).join("");
+}
+
+/**
+ * Stores a value in chunks under `key:0`, `key:1`, ... with the chunk count
+ * under `key` itself.
+ * @param {GoogleAppsScript.Cache.Cache} cache - The cache.
+ * @param {string} key - The cache key.
+ * @param {string} text - The value to store.
+ * @param {number} ttl - Seconds to keep the value.
+ */
+function writeCachedText(cache, key, text, ttl) {
+  const chunks = {};
+  for (let i = 0; i * CACHE_CHUNK_SIZE < text.length; i++) {
+    chunks[`${key}:${i}`] = text.slice(
+      i * CACHE_CHUNK_SIZE,
+      (i + 1) * CACHE_CHUNK_SIZE
+    );
+  }
+  cache.putAll(chunks, ttl);
+  cache.put(key, String(Object.keys(chunks).length), ttl);
+}
+
+/**
+ * Returns a cached payload, computing and caching it on a miss.
+ * @param {string} key - The cache key from `createCacheKey`.
+ * @param {number} ttl - Seconds to keep the payload; 0 disables caching.
+ * @param {boolean} bypass - Whether to skip the cached copy and refresh it.
+ * @param {function(): {data: *, last_modified: ?string, stamped_at: string}}
+ *     compute - Builds the payload, its last-modified time and the time
+ *     the parser stamped onto dates it filled in or clamped, on a miss.
+ * @returns {{data: *, last_modified: ?string, etag: string}} The payload,
+ *     its last-modified time and its content hash.
+ */
+function readThroughCache(key, ttl, bypass, compute) {
+  const cache = ttl > 0 ? CacheService.getScriptCache() : null;
+  const cached = cache && !bypass ? readCachedText(cache, key) : null;
+  if (cached) {
+    return JSON.parse(cached);
+  }
+  const { data, last_modified, stamped_at } = compute();
+  // Stamped dates change on every parse, so they would change the etag of
+  // an unchanged list on every cache miss.
+  const etag = sha256Hex(
+    JSON.stringify(data, (name, value) => (value === stamped_at ? null : value))
+  );
+  const entry = { data, last_modified, etag };
+  if (cache) {
+    writeCachedText(cache, key, JSON.stringify(entry), ttl);
+  }
+  return entry;
+}
+
+/**
+ * Derives when a list last changed: the later of its newest `completed_at`
+ * and the last cache invalidation, which follows every sheet edit.
+ * Completion dates the parser stamped are not changes and are skipped.
+ * @param {Object[]} items - The parsed items.
+ * @param {string} version - The cache version from `getCacheVersion`.
+ * @param {string} stampedAt - The time the parser stamped onto blank or
+ *     future completion dates.
+ * @returns {string|null} An ISO timestamp, or null if neither is known.
+ */
+function findLastModified(items, version, stampedAt) {
+  const editedAt = Number(version) > 0 ? new Date(Number(version)).toISOString() : null;
+  // String comparison works for ISO 8601 format.
+  return items.reduce(
+    (latest, item) =>
+      item.completed_at &&
+      item.completed_at !== stampedAt &&
+      (!latest || item.completed_at > latest)
+        ? item.completed_at
+        : latest,
+    editedAt
+  );
+}
+
+/**
+ * Evaluates the `if_none_match` and `if_modified_since` query parameters
+ * against a payload. As in HTTP, `if_none_match` wins when both are given.
+ * @param {Object} params - The request's query parameters.
+ * @param {{etag: string, last_modified: ?string}} entry - The payload.
+ * @returns {boolean} True if the client's copy is still current.
+ * @throws {HttpError} 400 when `if_modified_since` is not a date.
+ */
+function isNotModified(params, entry) {
+  const etag = safeTrim(params.if_none_match);
+  if (etag) {
+    return etag === entry.etag;
+  }
+  const since = safeTrim(params.if_modified_since);
+  if (!since) {
+    return false;
+  }
+  const sinceTime = new Date(since).getTime();
+  if (isNaN(sinceTime)) {
+    throw new HttpError("Invalid value for 'if_modified_since'.", 400);
+  }
+  return entry.last_modified !== null && Date.parse(entry.last_modified) <= sinceTime;
+}
+
+/**
+ * Installs edit and change triggers that invalidate the cache whenever the
+ * spreadsheet is edited. Run it once from the Apps Script editor, and again
+ * for each family member with their own spreadsheet.
+ * @param {string} [user] - The user whose spreadsheet to watch.
+ */
+export function installTriggers(user) {
+  const { spreadsheet } = loadProfile(user);
+  ScriptApp.getProjectTriggers()
+    .filter(
+      (trigger) =>
+        trigger.getHandlerFunction() === "onSheetChange" &&
+        trigger.getTriggerSourceId() === spreadsheet.getId()
+    )
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+  ScriptApp.newTrigger("onSheetChange").forSpreadsheet(spreadsheet).onEdit().create();
+  ScriptApp.newTrigger("onSheetChange").forSpreadsheet(spreadsheet).onChange().create();
+}
+
+/**
+ * Handles the installable edit and change triggers. Edits of the list
+ * sheet are also recorded in the history sheet.
+ * @param {Object} e - The trigger event.
+ */
+export function onSheetChange(e) {
+  invalidateCache();
+  if (e?.range) {
+    recordSheetEdit(e);
+  }
+}
+
+/**
+ * Runs a request handler, turning a thrown HttpError into an error response.
+ * @param {function(): GoogleAppsScript.Content.TextOutput} handler - The handler.
+ * @returns {GoogleAppsScript.Content.TextOutput} The handler's output.
+ */
+function handleErrors(handler) {
+  try {
+    return handler();
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return createErrorResponse(err.message, err.statusCode);
+    }
+    throw err;
+  }
+}
+
+// --- Steps ---
+
+/**
+ * Reads the steps of every item from the optional steps sheet. Its header
+ * row names the columns `item_id`, `title`, `completed` and `completed_at`,
+ * and steps keep their sheet order. An optional `user` column shares the
+ * sheet among the family: each row belongs to the user it names. Blank
+ * cells, or a sheet without the column, are read as `isRowOfUser` does.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @returns {?Map<number, Object[]>} Steps keyed by item id, or null when
+ *     there is no steps sheet.
+ */
+function readSteps(profile) {
+  const sheet = profile.spreadsheet.getSheetByName(profile.stepsSheetName);
+  if (!sheet) {
+    return null;
+  }
+  const [headerRow = [], ...rows] = readSheetValues(sheet);
+  const headers = headerRow.map((h) => canonicalHeader(h, profile.headerAliases));
+  const nowISO = (profile.now ?? new Date()).toISOString();
+  const steps = new Map();
+  rows.forEach((row) => {
+    const cell = (name) => row[headers.indexOf(name)];
+    const itemId = parse.id(cell("item_id"));
+    if (itemId === null || !isRowOfUser(cell("user"), profile)) {
+      return;
+    }
+    const step = {
+      title: parse.string(cell("title")),
+      completed: parse.completed(cell("completed")),
+      completed_at: parse.completed_at(cell("completed_at")),
+    };
+    enforceCompletionConsistency(step, nowISO);
+    steps.set(itemId, [...(steps.get(itemId) ?? []), step]);
+  });
+  return steps;
+}
+
+/**
+ * Gives each item its `steps` and a `progress` percentage, in place. A
+ * completed item is always 100% done. With AUTO_COMPLETE_STEPS, an item
+ * whose steps are all done is completed as of its last step. Without a
+ * steps sheet the items are left as they are.
+ * @param {Object[]} items - Items from `convertSheetDataToObjects`.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @returns {Object[]} The same items.
+ */
+function attachSteps(items, profile) {
+  const steps = readSteps(profile);
+  if (!steps) {
+    return items;
+  }
+  const nowISO = (profile.now ?? new Date()).toISOString();
+  items.forEach((item) => {
+    const itemSteps = steps.get(item.id) ?? [];
+    const done = itemSteps.filter((step) => step.completed);
+    if (
+      profile.autoCompleteSteps &&
+      !item.completed &&
+      itemSteps.length > 0 &&
+      done.length === itemSteps.length
+    ) {
+      item.completed = true;
+      item.completed_at = done.map((step) => step.completed_at).sort().pop();
+      enforceCompletionConsistency(item, nowISO);
+      setCompletedOn(item, profile.timeZone);
+      if ("status" in item) {
+        item.status = "done";
+      }
+    }
+    item.steps = itemSteps;
+    item.progress = item.completed
+      ? 100
+      : completionRate(done.length, itemSteps.length);
+  });
+  return items;
+}
+
+// --- History ---
+
+// Columns of the history sheet, which gets one row per changed field. The
+// sheet may be shared by the family, so each row names the list's user.
+const historyHeaders = [
+  "timestamp",
+  "item_id",
+  "event",
+  "field",
+  "old_value",
+  "new_value",
+  "actor",
+  "user",
+];
+
+// Converts a cell value for the history sheet, keeping dates readable.
+const historyValue = (v) => (v instanceof Date ? v.toISOString() : v ?? "");
+
+// Events recorded when a boolean field flips, as [on, off].
+const toggleEvents = {
+  completed: ["completed", "reopened"],
+  archived: ["archived", "restored"],
+};
+
+/**
+ * Names the event a change of one field stands for.
+ * @param {string} field - The canonical field name.
+ * @param {*} oldValue - The previous cell value.
+ * @param {*} newValue - The new cell value.
+ * @returns {string} An event from `toggleEvents` when `completed` or
+ *     `archived` flips, otherwise "edited".
+ */
+function historyEvent(field, oldValue, newValue) {
+  if (
+    !Object.prototype.hasOwnProperty.call(toggleEvents, field) ||
+    parse.completed(oldValue) === parse.completed(newValue)
+  ) {
+    return "edited";
+  }
+  const [on, off] = toggleEvents[field];
+  return parse.completed(newValue) ? on : off;
+}
+
+/**
+ * Describes how a write changed a row of the list sheet.
+ * @param {Array<?string>} headers - The canonical header row.
+ * @param {?any[]} before - The row before the write, or null for a new item.
+ * @param {?any[]} after - The row after the write, or null for a deletion.
+ * @returns {Object[]} History entries without timestamp and actor: one for a
+ *     created or deleted item, or one per changed field.
+ */
+function describeRowChanges(headers, before, after) {
+  const row = after ?? before;
+  const itemId = parse.id(row[headers.indexOf("id")]);
+  const title = historyValue(row[headers.indexOf("title")]);
+  if (!before || !after) {
+    return [
+      {
+        item_id: itemId,
+        event: before ? "deleted" : "created",
+        field: "",
+        old_value: before ? title : "",
+        new_value: before ? "" : title,
+      },
+    ];
+  }
+  return headers.flatMap((field, i) => {
+    const oldValue = historyValue(before[i]);
+    const newValue = historyValue(after[i]);
+    if (!field || String(oldValue) === String(newValue)) {
+      return [];
+    }
+    return [
+      {
+        item_id: itemId,
+        event: historyEvent(field, oldValue, newValue),
+        field,
+        old_value: oldValue,
+        new_value: newValue,
+      },
+    ];
+  });
+}
+
+/**
+ * Appends entries to the history sheet in one write, creating the sheet on
+ * first use.
+ * @param {Object} profile - The profile of the list that changed.
+ * @param {string} actor - Who made the change.
+ * @param {Object[]} entries - Entries from `describeRowChanges`.
+ */
+function appendHistory(profile, actor, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+  const { spreadsheet, historySheetName, user } = profile;
+  let sheet = spreadsheet.getSheetByName(historySheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(historySheetName);
+    sheet.appendRow(historyHeaders);
+  }
+  const timestamp = new Date().toISOString();
+  const rows = entries.map((entry) => {
+    const record = { timestamp, actor, user, ...entry };
+    return historyHeaders.map((header) => record[header]);
+  });
+  sheet
+    .getRange(sheet.getLastRow() + 1, 1, rows.length, historyHeaders.length)
+    .setValues(rows);
+}
+
+/**
+ * Finds the profile whose list sheet an edit trigger reports, trying the
+ * owner first and then each family member.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The edited sheet.
+ * @returns {?Object} The profile, or null when the sheet holds no list.
+ */
+function findEditedProfile(sheet) {
+  const isEdited = (profile) =>
+    profile.sheetName === sheet.getName() &&
+    profile.spreadsheet.getId() === sheet.getParent().getId();
+  const owner = loadProfile();
+  if (isEdited(owner)) {
+    return owner;
+  }
+  for (const user of listUsers(owner.spreadsheet)) {
+    const profile = loadProfile(user);
+    if (isEdited(profile)) {
+      return profile;
+    }
+  }
+  return null;
+}
+
+/**
+ * Records an edit made in a list sheet itself, the owner's or a family
+ * member's, from an edit trigger event. Only single-cell edits report the
+ * previous value.
+ * @param {Object} e - The edit trigger event.
+ */
+function recordSheetEdit(e) {
+  const sheet = e.range.getSheet();
+  const profile = findEditedProfile(sheet);
+  if (!profile) {
+    return;
+  }
+  const values = readSheetValues(sheet);
+  const headers = (values[0] ?? []).map((h) =>
+    canonicalHeader(h, profile.headerAliases)
+  );
+  const singleCell = e.range.getNumRows() === 1 && e.range.getNumColumns() === 1;
+  const entries = [];
+  for (let r = Math.max(e.range.getRow(), 2); r <= e.range.getLastRow(); r++) {
+    for (let c = e.range.getColumn(); c <= e.range.getLastColumn(); c++) {
+      const field = headers[c - 1];
+      const oldValue = singleCell ? e.oldValue ?? "" : "";
+      const newValue = historyValue(values[r - 1]?.[c - 1]);
+      if (field) {
+        entries.push({
+          item_id: parse.id(values[r - 1]?.[headers.indexOf("id")]),
+          event: historyEvent(field, oldValue, newValue),
+          field,
+          old_value: oldValue,
+          new_value: newValue,
+        });
+      }
+    }
+  }
+  const actor = e.user?.getEmail?.() || "sheet";
+  appendHistory(profile, actor, entries);
+}
+
+/**
+ * Reads the timeline of one item of the profile's list from the history
+ * sheet. Rows without a user are read as `isRowOfUser` does.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @param {number} itemId - The item id.
+ * @returns {Object[]} The item's entries, oldest first.
+ */
+function readHistory(profile, itemId) {
+  const sheet = profile.spreadsheet.getSheetByName(profile.historySheetName);
+  const [headerRow = [], ...rows] = sheet ? readSheetValues(sheet) : [];
+  const headers = headerRow.map(normalizeHeader);
+  return rows
+    .map((row) =>
+      headers.reduce((acc, header, i) => {
+        acc[header] = historyValue(row[i]);
+        return acc;
+      }, {})
+    )
+    .filter(
+      (entry) => parse.id(entry.item_id) === itemId && isRowOfUser(entry.user, profile)
+    )
+    .map((entry) => ({
+      timestamp: parse.completed_at(entry.timestamp),
+      event: entry.event,
+      field: entry.field,
+      old_value: entry.old_value,
+      new_value: entry.new_value,
+      actor: entry.actor,
+    }));
+}
+
+// --- Images ---
+
+/**
+ * Reads the format and pixel size of a PNG, GIF, JPEG or WebP image from
+ * its header.
+ * @param {number[]} bytes - The image bytes; Apps Script's signed bytes are
+ *     accepted.
+ * @returns {?{mime_type: string, width: number, height: number}} The format
+ *     and size, or null for other formats.
+ */
+function readImageInfo(bytes) {
+  const b = (i) => bytes[i] & 0xff;
+  const u16be = (i) => b(i) * 0x100 + b(i + 1);
+  const u16le = (i) => b(i) + b(i + 1) * 0x100;
+  const u24le = (i) => u16le(i) + b(i + 2) * 0x10000;
+  const u32be = (i) => u16be(i) * 0x10000 + u16be(i + 2);
+  const ascii = (i, length) =>
+    String.fromCharCode(...Array.from({ length }, (_, k) => b(i + k)));
+
+  if (ascii(1, 3) === "PNG") {
+    return { mime_type: "image/png", width: u32be(16), height: u32be(20) };
+  }
+  if (ascii(0, 3) === "GIF") {
+    return { mime_type: "image/gif", width: u16le(6), height: u16le(8) };
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 4) === "WEBP") {
+    const chunk = ascii(12, 4);
+    const size =
+      chunk === "VP8 "
+        ? [u16le(26) & 0x3fff, u16le(28) & 0x3fff]
+        : chunk === "VP8L"
+          ? [
+              1 + (((b(22) & 0x3f) << 8) | b(21)),
+              1 + (((b(24) & 0x0f) << 10) | (b(23) << 2) | ((b(22) & 0xc0) >> 6)),
+            ]
+          : chunk === "VP8X"
+            ? [1 + u24le(24), 1 + u24le(27)]
+            : null;
+    return size && { mime_type: "image/webp", width: size[0], height: size[1] };
+  }
+  if (b(0) === 0xff && b(1) === 0xd8) {
+    // Walk the JPEG segments up to the start-of-frame marker.
+    for (let i = 2; i + 9 < bytes.length && b(i) === 0xff; i += 2 + u16be(i + 2)) {
+      const marker = b(i + 1);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { mime_type: "image/jpeg", width: u16be(i + 7), height: u16be(i + 5) };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Downloads the image of an item, or decodes it from a data URL.
+ * @param {Object} item - An item with an `image_url`.
+ * @param {number} [size] - Longest side of a thumbnail, for Drive images.
+ * @returns {{bytes: number[], contentType: string}} The image bytes and
+ *     the declared MIME type.
+ * @throws {HttpError} 400 when a thumbnail is requested for an image not
+ *     on Drive, or 502 when the image cannot be downloaded or decoded.
+ */
+function fetchImage(item, size) {
+  const url = item.image_url;
+  if (size !== undefined && !url.startsWith(DRIVE_IMAGE_URL)) {
+    throw new HttpError("Thumbnails are only available for Google Drive images.", 400);
+  }
+  const dataUrl = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(url);
+  if (dataUrl) {
+    const [, contentType, attributes, payload] = dataUrl;
+    try {
+      return {
+        bytes: attributes.split(";").includes("base64")
+          ? Utilities.base64Decode(payload)
+          : Utilities.newBlob(decodeURIComponent(payload)).getBytes(),
+        contentType,
+      };
+    } catch (err) {
+      // A bare "%", common in hand-written SVG, is not valid percent-encoding.
+      throw new HttpError(`Could not load the image of item '${item.id}'.`, 502);
+    }
+  }
+  let response;
+  try {
+    response = UrlFetchApp.fetch(size === undefined ? url : `${url}=s${size}`, {
+      muteHttpExceptions: true,
+    });
+  } catch (err) {
+    response = null;
+  }
+  if (response?.getResponseCode() !== 200) {
+    throw new HttpError(`Could not load the image of item '${item.id}'.`, 502);
+  }
+  return {
+    bytes: response.getContent(),
+    contentType: safeTrim(response.getHeaders()["Content-Type"]).split(";")[0],
+  };
+}
+
+/**
+ * Describes a downloaded image, preferring what its bytes say over the
+ * declared MIME type.
+ * @param {{bytes: number[], contentType: string}} image - From `fetchImage`.
+ * @returns {{mime_type: ?string, width: ?number, height: ?number}} The
+ *     metadata; the size is null for formats `readImageInfo` cannot read.
+ */
+function describeImage({ bytes, contentType }) {
+  return (
+    readImageInfo(bytes) ?? {
+      mime_type: contentType || null,
+      width: null,
+      height: null,
+    }
+  );
+}
+
+/**
+ * Gives each item with an image its `image` metadata, in place, when the
+ * IMAGE_METADATA setting is on. Metadata is cached per URL for six hours,
+ * since fetching every image on each request would be slow; images that
+ * cannot be loaded get null.
+ * @param {Object[]} items - The items the caller may see.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @returns {Object[]} The same items.
+ */
+function attachImageInfo(items, profile) {
+  if (!profile.imageMetadata) {
+    return items;
+  }
+  const cache = CacheService.getScriptCache();
+  items.forEach((item) => {
+    if (!item.image_url) {
+      return;
+    }
+    const key = `image-info:${sha256Hex(item.image_url)}`;
+    const cached = cache.get(key);
+    if (cached) {
+      item.image = JSON.parse(cached);
+      return;
+    }
+    try {
+      item.image = describeImage(fetchImage(item));
+      cache.put(key, JSON.stringify(item.image), 21600);
+    } catch (err) {
+      if (!(err instanceof HttpError)) {
+        throw err;
+      }
+      item.image = null;
+    }
+  });
+  return items;
+}
+
+// --- Query parameters ---
+
+// Fields accepted by the `sort` query parameter.
+const sortableFields = [
+  "id",
+  "target_age",
+  "completed_at",
+  "title",
+  "deadline_date",
+  "days_remaining",
+];
+
+/**
+ * Reads an optional non-negative integer query parameter.
+ * @param {Object} params - The request's query parameters.
+ * @param {string} name - The parameter name.
+ * @param {number} min - The smallest accepted value.
+ * @returns {number|undefined} The value, or undefined when absent.
+ * @throws {HttpError} 400 when the value is not an integer >= `min`.
+ */
+function readIntParam(params, name, min) {
+  const raw = safeTrim(params[name]);
+  if (!raw) {
+    return undefined;
+  }
+  const value = /^\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+  if (isNaN(value) || value < min) {
+    throw new HttpError(`Invalid value for '${name}'.`, 400);
+  }
+  return value;
+}
+
+// Words accepted for a boolean in query parameters and writes, compared
+// case-insensitively.
+const booleanWords = ["true", "false", "1", "0", "yes", "no"];
+
+/**
+ * Reads an optional boolean query parameter.
+ * @param {Object} params - The request's query parameters.
+ * @param {string} name - The parameter name.
+ * @returns {boolean|undefined} The value, or undefined when absent.
+ * @throws {HttpError} 400 when the value is not a recognized boolean.
+ */
+function readBooleanParam(params, name) {
+  const raw = safeTrim(params[name]).toLowerCase();
+  if (!raw) {
+    return undefined;
+  }
+  if (!booleanWords.includes(raw)) {
+    throw new HttpError(`Invalid value for '${name}'.`, 400);
+  }
+  return parse.completed(raw);
+}
+
+/**
+ * Applies the optional `tz` query parameter, which lets clients in another
+ * time zone get today's date and `completed_on` on their own calendar. The
+ * birthday stays the day it is in TIME_ZONE, so ages and deadlines do not
+ * move with the caller's zone.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @param {Object} params - The request's query parameters.
+ * @returns {Object} The profile, with `timeZone` replaced and `birthDate`
+ *     moved to the start of the same birthday in it when `tz` is given.
+ * @throws {HttpError} 400 when `tz` is not a known IANA time zone.
+ */
+function applyTimeZoneParam(profile, params) {
+  const timeZone = safeTrim(params.tz);
+  if (!timeZone) {
+    return profile;
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new HttpError("Invalid value for 'tz'.", 400);
+  }
+  const birthday = localDate(profile.birthDate.toISOString(), profile.timeZone);
+  return { ...profile, timeZone, birthDate: startOfLocalDay(birthday, timeZone) };
+}
+
+/**
+ * Applies the optional `as_of` query parameter, which evaluates the list as
+ * it would look at the end of that day: target ages are normalized by the
+ * owner's age then, and later completion dates are clamped to it.
+ * @param {Object} profile - The profile from `loadProfile`, with the `tz`
+ *     parameter applied.
+ * @param {Object} params - The request's query parameters.
+ * @returns {Object} The profile, with `now` set when `as_of` is given.
+ * @throws {HttpError} 400 when `as_of` is not a valid YYYY-MM-DD date, or
+ *     is before the birth date.
+ */
+function applyAsOfParam(profile, params) {
+  const asOf = safeTrim(params.as_of);
+  if (!asOf) {
+    return profile;
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(asOf);
+  const [year, month, day] = (match ?? []).slice(1).map(Number);
+  if (!match || formatCalendarDate(year, month, day) !== asOf) {
+    throw new HttpError("Invalid value for 'as_of'.", 400);
+  }
+  if (asOf < localDate(profile.birthDate.toISOString(), profile.timeZone)) {
+    throw new HttpError("Parameter 'as_of' is before the birth date.", 400);
+  }
+  const nextDay = formatCalendarDate(year, month, day + 1);
+  const now = new Date(startOfLocalDay(nextDay, profile.timeZone).getTime() - 1);
+  return { ...profile, now };
+}
+
+/**
+ * Applies the optional `normalization` query parameter, which selects how
+ * `target_age` is normalized (see `targetAgeModes`).
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @param {Object} params - The request's query parameters.
+ * @returns {Object} The profile, with `targetAgeMode` set when given.
+ * @throws {HttpError} 400 when `normalization` names an unknown mode.
+ */
+function applyNormalizationParam(profile, params) {
+  const mode = safeTrim(params.normalization).toLowerCase();
+  if (!mode) {
+    return profile;
+  }
+  if (!targetAgeModes.includes(mode)) {
+    throw new HttpError("Invalid value for 'normalization'.", 400);
+  }
+  return { ...profile, targetAgeMode: mode };
+}
+
+// Query parameters that adjust the profile for one request, applied in
+// order: `as_of` is read on the calendar `tz` selects.
+const profileParams = [applyTimeZoneParam, applyAsOfParam, applyNormalizationParam];
+
+/**
+ * Hides archived items unless the `include` parameter asks for them.
+ * @param {Object[]} items - Items from `convertSheetDataToObjects`.
+ * @param {Object} params - The request's query parameters.
+ * @returns {Object[]} The items to serve.
+ * @throws {HttpError} 400 when `include` names anything but "archived".
+ */
+function selectActiveItems(items, params) {
+  const include = safeTrim(params.include).split(",").map(safeTrim).filter(Boolean);
+  if (include.some((value) => value !== "archived")) {
+    throw new HttpError("Invalid value for 'include'.", 400);
+  }
+  return include.length > 0 ? items : items.filter((item) => !item.archived);
+}
+
+/**
+ * Filters parsed items by the `category`, `tag`, `target_age`, `completed`
+ * and `q` query parameters. Absent parameters do not filter. `category` may
+ * list several categories separated by commas and matches any of them;
+ * `tag` may list several tags and matches items carrying all of them.
+ * @param {Object[]} items - Items from `convertSheetDataToObjects`.
+ * @param {Object} params - The request's query parameters.
+ * @returns {Object[]} The matching items.
+ */
+function filterItems(items, params) {
+  const categories = safeTrim(params.category).split(",").map(safeTrim).filter(Boolean);
+  const tags = parse.tags(params.tag).map((tag) => tag.toLowerCase());
+  const targetAge = readIntParam(params, "target_age", 0);
+  const decade = targetAge === undefined ? undefined : Math.floor(targetAge / 10) * 10;
+  const completed = readBooleanParam(params, "completed");
+  const q = safeTrim(params.q).toLowerCase();
+
+  return items.filter(
+    (item) =>
+      (categories.length === 0 || categories.includes(item.category)) &&
+      tags.every((tag) =>
+        (item.tags ?? []).some((itemTag) => itemTag.toLowerCase() === tag)
+      ) &&
+      (decade === undefined || targetDecade(item.target_age) === decade) &&
+      (completed === undefined || item.completed === completed) &&
+      (!q ||
+        [item.title, item.note].some((text) =>
+          safeTrim(text).toLowerCase().includes(q)
+        ))
+  );
+}
+
+/**
+ * Sorts items by the `sort` field in the `order` direction (asc by default).
+ * Items without a value for the field always sort last.
+ * @param {Object[]} items - The items to sort.
+ * @param {Object} params - The request's query parameters.
+ * @returns {Object[]} A sorted copy, or the items unchanged when unsorted.
+ */
+function sortItems(items, params) {
+  const field = safeTrim(params.sort);
+  const order = safeTrim(params.order).toLowerCase() || "asc";
+  if (!field) {
+    return items;
+  }
+  if (!sortableFields.includes(field)) {
+    throw new HttpError("Invalid value for 'sort'.", 400);
+  }
+  if (order !== "asc" && order !== "desc") {
+    throw new HttpError("Invalid value for 'order'.", 400);
+  }
+  const direction = order === "asc" ? 1 : -1;
+
+  return [...items].sort((a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x == null || y == null) {
+      return (x == null) - (y == null);
+    }
+    return x < y ? -direction : x > y ? direction : 0;
+  });
+}
+
+/**
+ * Applies the list query parameters to parsed items: filters, then sorts,
+ * then paginates when `limit` or `offset` is given.
+ * @param {Object[]} items - Items from `convertSheetDataToObjects`.
+ * @param {Object} params - The request's query parameters.
+ * @returns {Object[]|Object} The items, or a page object with `items`,
+ *     `total`, `limit`, `offset` and `next_offset` when paginated.
+ */
+function queryItems(items, params) {
+  const sorted = sortItems(filterItems(items, params), params);
+  const limit = readIntParam(params, "limit", 1);
+  const offset = readIntParam(params, "offset", 0);
+  if (limit === undefined && offset === undefined) {
+    return sorted;
+  }
+
+  const start = offset ?? 0;
+  const end = limit === undefined ? sorted.length : start + limit;
+  return {
+    items: sorted.slice(start, end),
+    total: sorted.length,
+    limit: limit ?? null,
+    offset: start,
+    next_offset: end < sorted.length ? end : null,
+  };
+}
+
+// --- Statistics ---
+
+/**
+ * Computes a completion percentage rounded to one decimal place.
+ * @param {number} completed - The number of completed items.
+ * @param {number} total - The number of items.
+ * @returns {number} The percentage, or 0 when there are no items.
+ */
+function completionRate(completed, total) {
+  return total === 0 ? 0 : Math.round((completed / total) * 1000) / 10;
+}
+
+/**
+ * Counts items and completed items per group.
+ * @param {Object[]} items - The items to group.
+ * @param {string} key - The item field to group by; also names the group.
+ * @param {function(Object): *} [groupOf] - Derives the group value from an
+ *     item. Defaults to the item's `key` field.
+ * @returns {Object[]} One entry per group, sorted by the group value.
+ */
+function summarizeGroups(items, key, groupOf = (item) => item[key]) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const value = groupOf(item);
+    const group = groups.get(value) ?? { [key]: value, total: 0, completed: 0 };
+    group.total++;
+    group.completed += item.completed ? 1 : 0;
+    groups.set(value, group);
+  });
+  return [...groups.values()]
+    .sort((a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0))
+    .map((group) => ({
+      ...group,
+      completion_rate: completionRate(group.completed, group.total),
+    }));
+}
+
+/**
+ * Counts items and completed items per tag, for a tag cloud. Tags are
+ * compared case-insensitively, like the `tag` filter.
+ * @param {Object[]} items - The items to count.
+ * @returns {Object[]} One entry per tag, most used first, then by tag.
+ */
+function summarizeTags(items) {
+  const groups = new Map();
+  items.forEach((item) =>
+    (item.tags ?? []).forEach((tag) => {
+      const key = tag.toLowerCase();
+      const group = groups.get(key) ?? { tag, total: 0, completed: 0 };
+      group.total++;
+      group.completed += item.completed ? 1 : 0;
+      groups.set(key, group);
+    })
+  );
+  return [...groups.values()]
+    .sort((a, b) => b.total - a.total || (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0))
+    .map((group) => ({
+      ...group,
+      completion_rate: completionRate(group.completed, group.total),
+    }));
+}
+
+/**
+ * Counts completions per period, taking the period from the start of the
+ * local `completed_on` date, so a completion late on New Year's Eve counts
+ * towards the old year.
+ * @param {Object[]} items - The items to count.
+ * @param {string} key - The name of the period field in each entry.
+ * @param {number} length - How many characters of `completed_on` to keep.
+ * @returns {Object[]} One entry per period, sorted chronologically.
+ */
+function countCompletions(items, key, length) {
+  const counts = new Map();
+  items.forEach((item) => {
+    if (item.completed_on) {
+      const period = item.completed_on.slice(0, length);
+      counts.set(period, (counts.get(period) ?? 0) + 1);
+    }
+  });
+  return [...counts.keys()].sort().map((period) => ({
+    [key]: period,
+    count: counts.get(period),
+  }));
+}
+
+/**
+ * Aggregates completion statistics for the `?view=stats` endpoint.
+ * @param {Object[]} items - Items from `convertSheetDataToObjects`.
+ * @returns {Object} Totals, per-decade and per-category progress, and
+ *     completions per month and per year.
+ */
+function summarizeItems(items) {
+  const completed = items.filter((item) => item.completed).length;
+  return {
+    total: items.length,
+    completed,
+    completion_rate: completionRate(completed, items.length),
+    by_decade: summarizeGroups(items, "target_age", (item) =>
+      targetDecade(item.target_age)
+    ),
+    by_category: summarizeGroups(items, "category"),
+    completions_by_month: countCompletions(items, "month", 7),
+    completions_by_year: countCompletions(items, "year", 4),
+  };
+}
+
+// Representations of the list selectable with `?view=`. Each receives the
+// parsed items, the query parameters, and the raw sheet values, profile and
+// requested item id.
+const views = {
+  list: (items, params) => queryItems(items, params),
+  // Open items past their deadline birthday, most overdue first.
+  overdue: (items, params) =>
+    queryItems(
+      items.filter((item) => item.status === "overdue"),
+      { sort: "deadline_date", ...params }
+    ),
+  // Open items whose deadline falls within `within` days (DUE_SOON_DAYS by
+  // default), soonest first.
+  upcoming: (items, params, { profile }) => {
+    const within = readIntParam(params, "within", 0) ?? profile.dueSoonDays;
+    return queryItems(
+      items.filter(
+        (item) =>
+          !item.completed && item.days_remaining > 0 && item.days_remaining <= within
+      ),
+      { sort: "deadline_date", ...params }
+    );
+  },
+  stats: (items, params) => summarizeItems(filterItems(items, params)),
+  tags: (items, params) => summarizeTags(filterItems(items, params)),
+  validate: (items, params, { values, profile }) =>
+    validateSheetData(values, profile),
+  schema: (items, params, { profile }) =>
+    describeCustomFields(profile.customFields),
+  // Deleted items keep their history, so only items without any are 404.
+  history: (items, params, { profile, id }) => {
+    const itemId = parse.id(id);
+    const entries = itemId === null ? [] : readHistory(profile, itemId);
+    if (entries.length === 0) {
+      findItem(items, id);
+    }
+    return entries;
+  },
+  // ContentService cannot return binary content, so the image comes back
+  // as a data URL.
+  image: (items, params, { id }) => {
+    const item = findItem(items, id);
+    if (!item.image_url) {
+      throw new HttpError(`Item '${id}' has no image.`, 404);
+    }
+    const image = fetchImage(item, readIntParam(params, "size", 1));
+    const info = describeImage(image);
+    const mimeType = info.mime_type ?? "application/octet-stream";
+    return {
+      ...info,
+      data_url: `data:${mimeType};base64,${Utilities.base64Encode(image.bytes)}`,
+    };
+  },
+};
+
+// Views of a single item, selected with `id` or an items path.
+const itemViews = ["history", "image"];
+
+// Scopes required by views that expose more than the list does. The
+// validation report and history show raw cell values, private ones included.
+const viewScopes = {
+  validate: "admin",
+  history: "read",
+};
+
+// --- Feeds ---
+
+/**
+ * Escapes text for XML element content and attribute values, dropping
+ * control characters XML 1.0 does not allow.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(value) {
+  const replacements = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&apos;",
+  };
+  return String(value ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/[&<>"']/g, (c) => replacements[c]);
+}
+
+/**
+ * Picks the items a feed publishes: completed items with an id, newest
+ * completion first.
+ * @param {Object[]} items - The listed items.
+ * @returns {Object[]} The feed entries.
+ */
+function selectFeedItems(items) {
+  return items
+    .filter((item) => item.completed && item.id !== null && item.completed_at)
+    .sort((a, b) =>
+      a.completed_at < b.completed_at ? 1 : a.completed_at > b.completed_at ? -1 : 0
+    );
+}
+
+/**
+ * Builds the stable GUID of a feed entry from its item id.
+ * @param {Object} item - The item.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @returns {string} A URN naming the item.
+ */
+function feedGuid(item, profile) {
+  return `urn:bucket-list:${profile.user || "owner"}:item:${item.id}`;
+}
+
+/**
+ * Builds the web address of an item, the `/items/<id>` path of the web app.
+ * @param {Object} item - The item.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @param {string} url - The web app URL.
+ * @returns {string} The item URL, naming the user for a family member.
+ */
+function itemUrl(item, profile, url) {
+  const query = profile.user ? `?user=${encodeURIComponent(profile.user)}` : "";
+  return `${url}/items/${item.id}${query}`;
+}
+
+/**
+ * Lists the category and tags of an item, for feed and calendar categories.
+ * @param {Object} item - The item.
+ * @returns {string[]} The non-empty category followed by the tags, without
+ *     repeats.
+ */
+function itemCategories(item) {
+  return [...new Set([item.category, ...(item.tags ?? [])])].filter(Boolean);
+}
+
+/**
+ * Renders completed items as an RSS 2.0 feed.
+ * @param {Object[]} items - The listed items.
+ * @param {{profile: Object, title: string, url: string}} feed - Feed metadata.
+ * @returns {string} The RSS document.
+ */
+function renderRss(items, { profile, title, url }) {
+  const entries = selectFeedItems(items).map((item) =>
+    [
+      "<item>",
+      `<title>${escapeXml(item.title)}</title>`,
+      `<guid isPermaLink="false">${escapeXml(feedGuid(item, profile))}</guid>`,
+      `<pubDate>${new Date(item.completed_at).toUTCString()}</pubDate>`,
+      item.note ? `<description>${escapeXml(item.note)}</description>` : "",
+      ...itemCategories(item).map(
+        (category) => `<category>${escapeXml(category)}</category>`
+      ),
+      item.image_url
+        ? `<media:content url="${escapeXml(item.image_url)}" medium="image"/>`
+        : "",
+      "</item>",
+    ].join("")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/">',
+    "<channel>",
+    `<title>${escapeXml(title)}</title>`,
+    `<link>${escapeXml(url)}</link>`,
+    `<description>${escapeXml(title)}</description>`,
+    ...entries,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+}
+
+/**
+ * Renders completed items as an Atom 1.0 feed.
+ * @param {Object[]} items - The listed items.
+ * @param {{profile: Object, title: string, url: string}} feed - Feed metadata.
+ * @returns {string} The Atom document.
+ */
+function renderAtom(items, { profile, title, url }) {
+  const feedItems = selectFeedItems(items);
+  const entries = feedItems.map((item) =>
+    [
+      "<entry>",
+      `<title>${escapeXml(item.title)}</title>`,
+      `<id>${escapeXml(feedGuid(item, profile))}</id>`,
+      `<link rel="alternate" href="${escapeXml(itemUrl(item, profile, url))}"/>`,
+      `<updated>${item.completed_at}</updated>`,
+      item.note ? `<summary>${escapeXml(item.note)}</summary>` : "",
+      ...itemCategories(item).map(
+        (category) => `<category term="${escapeXml(category)}"/>`
+      ),
+      item.image_url
+        ? `<link rel="enclosure" href="${escapeXml(item.image_url)}"/>`
+        : "",
+      "</entry>",
+    ].join("")
+  );
+  // Atom requires an update time; fall back to now for an empty feed.
+  const updated = feedItems[0]?.completed_at ?? new Date().toISOString();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<title>${escapeXml(title)}</title>`,
+    `<id>urn:bucket-list:${escapeXml(profile.user || "owner")}</id>`,
+    `<link href="${escapeXml(url)}"/>`,
+    `<updated>${updated}</updated>`,
+    `<author><name>${escapeXml(title)}</name></author>`,
+    ...entries,
+    "</feed>",
+  ].join("\n");
+}
+
+// --- Calendar ---
+
+/**
+ * Escapes text for an iCalendar property value (RFC 5545 section 3.3.11).
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeIcsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line so no physical line exceeds 75 octets of UTF-8, as
+ * RFC 5545 requires. Continuation lines start with a space.
+ * @param {string} line - The unfolded content line.
+ * @returns {string} The folded line, joined with CRLF.
+ */
+function foldIcsLine(line) {
+  const lines = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    // Each percent-encoded triplet is one UTF-8 octet.
+    const size = encodeURIComponent(char).replace(/%[0-9A-F]{2}/g, "_").length;
+    if (octets + size > 75) {
+      lines.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join("\r\n");
+}
+
+/**
+ * Formats a calendar date as an iCalendar DATE value.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @returns {string} The date as YYYYMMDD.
+ */
+function formatIcsDate(date) {
+  return date.replace(/-/g, "");
+}
+
+/**
+ * Formats an instant as an iCalendar UTC DATE-TIME value.
+ * @param {string} iso - An ISO 8601 timestamp.
+ * @returns {string} The time as YYYYMMDDTHHMMSSZ.
+ */
+function formatIcsDateTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Renders items as an iCalendar document. An open item becomes an all-day
+ * event on its `deadline_date`, the birthday that ends the decade the sheet
+ * asks for, even when its `target_age` was rolled forward; a completed item
+ * becomes an event at `completed_at`. UIDs are stable per item id, so a
+ * calendar moves an event when its item is completed instead of adding one.
+ * @param {Object[]} items - The listed items.
+ * @param {{profile: Object, title: string}} feed - Feed metadata.
+ * @returns {string} The iCalendar document.
+ */
+function renderIcs(items, { profile, title }) {
+  const stamp = formatIcsDateTime(new Date().toISOString());
+  const events = items
+    // Without normalization, open items may have no target to date.
+    .filter(
+      (item) =>
+        item.id !== null && (item.completed || targetDecade(item.target_age) !== null)
+    )
+    .map((item) => {
+      let when;
+      if (item.completed) {
+        when = [`DTSTART:${formatIcsDateTime(item.completed_at)}`];
+      } else {
+        // PRIVATE_FIELDS may have hidden the deadline; date the target decade.
+        const deadline =
+          item.deadline_date ??
+          decadeEndDate(profile.birthDate, targetDecade(item.target_age), profile.timeZone);
+        const [year, month, day] = deadline.split("-").map(Number);
+        const nextDay = formatCalendarDate(year, month, day + 1);
+        when = [
+          `DTSTART;VALUE=DATE:${formatIcsDate(deadline)}`,
+          `DTEND;VALUE=DATE:${formatIcsDate(nextDay)}`,
+        ];
+      }
+      return [
+        "BEGIN:VEVENT",
+        `UID:${profile.user || "owner"}-item-${item.id}@bucket-list`,
+        `DTSTAMP:${stamp}`,
+        ...when,
+        `SUMMARY:${escapeIcsText(item.title)}`,
+        item.note ? `DESCRIPTION:${escapeIcsText(item.note)}` : "",
+        itemCategories(item).length > 0
+          ? `CATEGORIES:${itemCategories(item).map(escapeIcsText).join(",")}`
+          : "",
+        `STATUS:${item.completed ? "CONFIRMED" : "TENTATIVE"}`,
+        "END:VEVENT",
+      ];
+    });
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//bucket-list-gas//Bucket List API//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(title)}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines
+    .filter(Boolean)
+    .map(foldIcsLine)
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+// --- Tabular exports ---
+
+// Column order of tabular exports, matching the BucketListItem schema in
+// openapi.yaml. Extra sheet columns follow in the order they first appear.
+const itemFields = [
+  "id",
+  "target_age",
+  "target_age_raw",
+  "target_age_decade",
+  "target_age_rolled_forward",
+  "completed",
+  "image_url",
+  "category",
+  "title",
+  "note",
+  "completed_at",
+  "completed_on",
+  "deadline_date",
+  "days_remaining",
+  "status",
+  "tags",
+];
+
+/**
+ * Quotes a value as an RFC 4180 CSV field when it needs quoting.
+ * @param {*} value - The value; null and undefined become empty fields.
+ *     Lists of plain values such as tags are joined with ", ", the way they
+ *     are written in the sheet. Other objects become JSON.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+  let text;
+  if (Array.isArray(value) && value.every((v) => v === null || typeof v !== "object")) {
+    text = value.join(", ");
+  } else if (value !== null && typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value ?? "");
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders items as RFC 4180 CSV with a header row and CRLF line endings.
+ * @param {Object[]} items - The listed items.
+ * @param {{params: Object}} meta - Request metadata; `?bom=1` prepends a
+ *     UTF-8 byte order mark so Excel reads Japanese text correctly.
+ * @returns {string} The CSV document.
+ */
+function renderCsv(items, { params }) {
+  const extras = [];
+  items.forEach((item) =>
+    Object.keys(item).forEach((key) => {
+      if (!itemFields.includes(key) && !extras.includes(key)) {
+        extras.push(key);
+      }
+    })
+  );
+  const columns = [...itemFields, ...extras];
+  const rows = [columns, ...items.map((item) => columns.map((c) => item[c]))];
+  const csv = rows.map((row) => row.map(toCsvField).join(",") + "\r\n").join("");
+  return readBooleanParam(params, "bom") ? `\uFEFF${csv}` : csv;
+}
+
+/**
+ * Renders items as newline-delimited JSON, one item per line.
+ * @param {Object[]} items - The listed items.
+ * @returns {string} The NDJSON document.
+ */
+function renderNdjson(items) {
+  return items.map((item) => `${JSON.stringify(item)}\n`).join("");
+}
+
+// Non-JSON output formats selectable with `?format=`. Each renders the
+// items of the list view and names its MIME type.
+const listFormats = {
+  rss: { render: renderRss, mimeType: "RSS" },
+  atom: { render: renderAtom, mimeType: "ATOM" },
+  ics: { render: renderIcs, mimeType: "ICAL" },
+  csv: { render: renderCsv, mimeType: "CSV" },
+  ndjson: { render: renderNdjson, mimeType: "TEXT" },
+};
+
+/**
+ * Renders the list view in a non-JSON format.
+ * @param {string} format - A key of `listFormats`.
+ * @param {Object[]|Object} data - The list payload: items or a page of them.
+ * @param {Object} profile - The profile from `loadProfile`.
+ * @param {Object} params - The request's query parameters.
+ * @returns {GoogleAppsScript.Content.TextOutput} The rendered output.
+ */
+function createFormattedResponse(format, data, profile, params) {
+  const items = Array.isArray(data) ? data : data.items;
+  const { render, mimeType } = listFormats[format];
+  const text = render(items, {
+    profile,
+    params,
+    title: profile.feedTitle,
+    url: ScriptApp.getService().getUrl(),
+  });
+  return ContentService.createTextOutput(text).setMimeType(
+    ContentService.MimeType[mimeType]
+  );
+}
+
+/**
+ * Reads the id of a single-item request, given either as `?id=42` or as the
+ * path `/exec/items/42`.
+ * @param {Object} e - The event parameter containing request details.
+ * @returns {string|undefined} The raw id, or undefined for a list request.
+ * @throws {HttpError} 404 for any other path.
+ */
+function readRequestedId(e) {
+  const path = safeTrim(e?.pathInfo);
+  if (!path) {
+    return e?.parameter?.id;
+  }
+  const match = /^items\/([^/]+)\/?$/.exec(path);
+  if (!match) {
+    throw new HttpError(`Path '/${path}' not found.`, 404);
+  }
+  return match[1];
+}
+
+/**
+ * Finds a single parsed item by id.
+ * @param {Object[]} items - Items from `convertSheetDataToObjects`.
+ * @param {string} rawId - The requested id.
+ * @returns {Object} The matching item.
+ * @throws {HttpError} 404 when the id is invalid or no item has it.
+ */
+function findItem(items, rawId) {
+  const id = parse.id(rawId);
+  const item = id === null ? undefined : items.find((i) => i.id === id);
+  if (!item) {
+    throw new HttpError(`Item '${rawId}' not found.`, 404);
+  }
+  return item;
+}
+
+/**
+ * Handles HTTP GET requests.
+ * @param {Object} e - The event parameter containing request details.
+ * @returns {GoogleAppsScript.Content.TextOutput} The JSON or JSONP output.
+ */
+export function doGet(e) {
+  return handleErrors(() => {
+    // Handle cases where `e` is undefined (e.g., direct execution from editor).
+    const params = e?.parameter ?? {};
+    const id = readRequestedId(e);
+    const view = safeTrim(params.view) || "list";
+    if (!Object.prototype.hasOwnProperty.call(views, view)) {
+      throw new HttpError("Invalid value for 'view'.", 400);
+    }
+    if (itemViews.includes(view) && id === undefined) {
+      throw new HttpError("Parameter 'id' is required.", 400);
+    }
+    const format = safeTrim(params.format).toLowerCase() || "json";
+    if (format !== "json") {
+      if (!Object.prototype.hasOwnProperty.call(listFormats, format)) {
+        throw new HttpError("Invalid value for 'format'.", 400);
+      }
+      if (id !== undefined || view !== "list") {
+        throw new HttpError(`Format '${format}' is only available for the list.`, 400);
+      }
+    }
+    const bypassCache = readBooleanParam(params, "nocache") === true;
+    const envelope = readBooleanParam(params, "envelope") === true;
+    const auth = authenticate(params.token);
+    const profile = profileParams.reduce(
+      (acc, apply) => apply(acc, params),
+      loadProfile(params.user)
+    );
+    if (!profile.publicRead) {
+      requireScope(auth, "read");
+    }
+    if (viewScopes[view]) {
+      requireScope(auth, viewScopes[view]);
+    }
+
+    const version = getCacheVersion();
+    const key = createCacheKey(version, params, {
+      id,
+      user: profile.user,
+      canRead: hasScope(auth, "read"),
+    });
+    const entry = readThroughCache(key, profile.cacheTtl, bypassCache, () => {
+      // Parse with a fixed clock so the dates it stamps can be recognized.
+      const now = profile.now ?? new Date();
+      const parseProfile = { ...profile, now };
+      const values = readSheetValues(openListSheet(profile));
+      const items = selectActiveItems(
+        redactItems(
+          attachSteps(convertSheetDataToObjects(values, parseProfile), parseProfile),
+          auth,
+          profile.privateFields
+        ),
+        params
+      );
+      // Only fetch the images the response can include.
+      attachImageInfo(
+        id === undefined ? items : items.filter((item) => item.id === parse.id(id)),
+        profile
+      );
+      return {
+        data:
+          id === undefined || itemViews.includes(view)
+            ? views[view](items, params, { values, profile: parseProfile, id })
+            : findItem(items, id),
+        last_modified: findLastModified(items, version, now.toISOString()),
+        stamped_at: now.toISOString(),
+      };
+    });
+    const { data, etag, last_modified } = entry;
+    if (format !== "json") {
+      return createFormattedResponse(format, data, profile, params);
+    }
+    if (isNotModified(params, entry)) {
+      return createJsonResponse(
+        { not_modified: true, etag, version, last_modified },
+        params.callback
+      );
+    }
+    const result = envelope ? { etag, version, last_modified, data } : data;
+    return createJsonResponse(result, params.callback);
+  });
+}
+
+// --- Write API ---
+
+// Stores dates as Date values, so the sheet keeps them as date cells rather
+// than text.
+const writeDate = (v) => {
+  if (!safeTrim(v)) {
+    return null;
+  }
+  const iso = parse.completed_at(v);
+  return iso === null ? undefined : new Date(iso);
+};
+
+// Accepts the booleans `readBooleanParam` does, rather than reading any
+// other text as false the way `parse.completed` does.
+const writeBoolean = (v) =>
+  typeof v === "boolean" || booleanWords.includes(safeTrim(v).toLowerCase())
+    ? parse.completed(v)
+    : undefined;
+
+// Converters from incoming JSON fields to sheet cell values. Each reuses the
+// read-side parser and returns `undefined` for a value that parser would
+// silently coerce away, so bad input is rejected instead of stored.
+const headerToWriterMap = {
+  target_age: (v) =>
+    /^\d{1,3}$/.test(safeTrim(v)) && parse.id(v) <= 100 ? parse.id(v) : undefined,
+  completed: writeBoolean,
+  private: writeBoolean,
+  image_url: (v) => {
+    const url = parse.image_url(v);
+    return url || !safeTrim(v) ? url : undefined;
+  },
+  category: parse.string,
+  title: parse.string,
+  note: parse.string,
+  // Tags may be sent as an array or a string, and are stored comma-separated.
+  tags: (v) => parse.tags(Array.isArray(v) ? v.join(",") : v).join(", "),
+  completed_at: writeDate,
+  archived: writeBoolean,
+  deleted_at: writeDate,
+};
+
+// Columns without a writer store the value as sent, as long as a cell can
+// hold it: objects and arrays are rejected rather than passed to setValues.
+const writeCell = (v) => (v !== null && typeof v === "object" ? undefined : v);
+
+/**
+ * Combines the built-in writers with writers for the custom fields, which
+ * reject values their parser would turn into null. Lists may be sent as
+ * arrays and are stored comma-separated; dates are stored as Date values.
+ * @param {Object} [customFields] - Field definitions keyed by field name.
+ * @returns {Object} Writers keyed by field name.
+ */
+function createFieldWriters(customFields) {
+  const parsers = createFieldParsers(customFields);
+  return {
+    ...mapCustomFields(customFields, (name, definition) => (v) => {
+      const raw = Array.isArray(v) ? v.join(", ") : v;
+      if (!safeTrim(raw)) {
+        return "";
+      }
+      const value = parsers[name](raw);
+      if (value === null) {
+        return undefined;
+      }
+      if (definition.type === "date") {
+        return new Date(value);
+      }
+      return Array.isArray(value) ? value.join(", ") : value;
+    }),
+    ...headerToWriterMap,
+  };
+}
+
+/**
+ * Validates the fields of a write request against the sheet's header row.
+ * @param {Object} fields - The incoming item fields.
+ * @param {string[]} headers - The canonical header row.
+ * @param {Object} profile - The profile from `loadProfile`, for its header
+ *     aliases and custom fields.
+ * @returns {Object} The validated fields, keyed by header.
+ * @throws {HttpError} 400 when a field is unknown, read-only or invalid.
+ */
+function parseWriteFields(fields, headers, profile) {
+  if (fields == null || typeof fields !== "object" || Array.isArray(fields)) {
+    throw new HttpError("Field 'item' must be an object.", 400);
+  }
+  const writers = createFieldWriters(profile.customFields);
+  return Object.keys(fields).reduce((acc, key) => {
+    const field = canonicalHeader(key, profile.headerAliases);
+    if (field === "id") {
+      throw new HttpError("Field 'id' is assigned by the server.", 400);
+    }
+    if (!headers.includes(field)) {
+      throw new HttpError(`Unknown field '${key}'.`, 400);
+    }
+    const writer = Object.prototype.hasOwnProperty.call(writers, field)
+      ? writers[field]
+      : writeCell;
+    const value = writer(fields[key]);
+    if (value === undefined) {
+      throw new HttpError(`Invalid value for '${field}'.`, 400);
+    }
+    acc[field] = value;
+    return acc;
+  }, {});
+}
+
+/**
+ * Finds the sheet row holding the item with the given id.
+ * @param {any[][]} values - The sheet values, header row included.
+ * @param {number} idIndex - The column index of the `id` header.
+ * @param {*} id - The requested id.
+ * @returns {number} The index into `values` of the matching row.
+ * @throws {HttpError} 404 when no row has that id.
+ */
+function findRowIndex(values, idIndex, id) {
+  const wanted = parse.id(id);
+  const index =
+    wanted === null
+      ? -1
+      : values.findIndex((row, i) => i > 0 && parse.id(row[idIndex]) === wanted);
+  if (index < 0) {
+    throw new HttpError(`Item '${id}' not found.`, 404);
+  }
+  return index;
+}
+
+/**
+ * Applies validated fields to a sheet row, keeping `completed_at` consistent
+ * with `completed` the same way `convertSheetDataToObjects` does.
+ * @param {any[]} row - The current row (or a blank one for a new item).
+ * @param {string[]} headers - The normalized header row.
+ * @param {Object} fields - Validated fields from `parseWriteFields`.
+ * @returns {any[]} The updated row.
+ */
+function applyWriteFields(row, headers, fields) {
+  const updated = headers.map((header, i) =>
+    header in fields ? fields[header] : row[i] ?? ""
+  );
+  const completedIndex = headers.indexOf("completed");
+  const completedAtIndex = headers.indexOf("completed_at");
+  if (completedAtIndex >= 0) {
+    const completedAt = parse.completed_at(updated[completedAtIndex]);
+    const status = {
+      completed:
+        completedIndex >= 0 && parse.completed(updated[completedIndex]),
+      completed_at: completedAt,
+    };
+    enforceCompletionConsistency(status, new Date().toISOString());
+    if (status.completed_at !== completedAt) {
+      updated[completedAtIndex] = status.completed_at ? new Date(status.completed_at) : "";
+    }
+  }
+  return updated;
+}
+
+// Write actions accepted by `doPost`. Each receives the request payload and
+// the sheet state, and returns the row it wrote (or removed).
+const postActions = {
+  create: ({ item }, { list, values, headers, idIndex, profile }) => {
+    const fields = parseWriteFields(item, headers, profile);
+    if (headers.includes("title") && !fields.title) {
+      throw new HttpError("Field 'title' is required.", 400);
+    }
+    const nextId =
+      values
+        .slice(1)
+        .reduce((max, row) => Math.max(max, parse.id(row[idIndex]) ?? 0), 0) + 1;
+    const row = applyWriteFields([], headers, fields);
+    row[idIndex] = nextId;
+    list.appendRow(row);
+    return row;
+  },
+
+  update: ({ id, item }, state) =>
+    writeRow(state, id, parseWriteFields(item, state.headers, state.profile)),
+
+  complete: ({ id, completed_at }, state) =>
+    writeRow(
+      state,
+      id,
+      parseWriteFields(
+        completed_at === undefined
+          ? { completed: true }
+          : { completed: true, completed_at },
+        state.headers,
+        state.profile
+      )
+    ),
+
+  uncomplete: ({ id }, state) =>
+    writeRow(
+      state,
+      id,
+      parseWriteFields({ completed: false }, state.headers, state.profile)
+    ),
+
+  // Archives the item when the sheet can record that, so its row and id
+  // survive; otherwise removes the row.
+  delete: ({ id }, state) => {
+    if (hasArchiveColumns(state.headers)) {
+      return writeRow(state, id, {
+        archived: true,
+        deleted_at: new Date(),
+      });
+    }
+    const index = findRowIndex(state.values, state.idIndex, id);
+    state.list.deleteRow(index + 1);
+    return state.values[index];
+  },
+
+  restore: ({ id }, state) => {
+    if (!hasArchiveColumns(state.headers)) {
+      throw new HttpError(
+        `Sheet '${state.profile.sheetName}' has no 'archived' or 'deleted_at' column.`,
+        409
+      );
+    }
+    return writeRow(state, id, { archived: false, deleted_at: "" });
+  },
+};
+
+/**
+ * Checks whether a list sheet can archive items instead of deleting rows.
+ * @param {Array<?string>} headers - The canonical header row.
+ * @returns {boolean} True if it has an `archived` or `deleted_at` column.
+ */
+function hasArchiveColumns(headers) {
+  return headers.includes("archived") || headers.includes("deleted_at");
+}
+
+/**
+ * Writes validated fields into an existing row of the list sheet. Only the
+ * cells whose value changes are written, so formulas and date cells in the
+ * rest of the row are left alone.
+ * @param {Object} state - The sheet state passed to every post action.
+ * @param {*} id - The id of the item to change.
+ * @param {Object} fields - Validated fields from `parseWriteFields`.
+ * @returns {any[]} The updated row.
+ */
+function writeRow({ list, values, headers, idIndex }, id, fields) {
+  const index = findRowIndex(values, idIndex, id);
+  const row = applyWriteFields(values[index], headers, fields);
+  row.forEach((value, i) => {
+    if (String(historyValue(value)) !== String(historyValue(values[index][i]))) {
+      list.getRange(index + 1, i + 1).setValue(value);
+    }
+  });
+  return row;
+}
+
+/**
+ * Handles HTTP POST requests carrying a JSON write action, e.g.
+ * `{"action": "complete", "id": 3}`. Requires a token with the write
+ * scope, sent as the `token` query parameter or body field. As with `doGet`,
+ * the `user` query parameter selects whose list is written. Every change
+ * is recorded in the history sheet under the token's name.
+ * @param {Object} e - The event parameter containing request details.
+ * @returns {GoogleAppsScript.Content.TextOutput} The written item as JSON.
+ */
+export function doPost(e) {
+  return handleErrors(() => {
+    let payload;
+    try {
+      payload = JSON.parse(e?.postData?.contents ?? "");
+    } catch (err) {
+      throw new HttpError("Request body must be valid JSON.", 400);
+    }
+    if (!Object.prototype.hasOwnProperty.call(postActions, payload?.action)) {
+      throw new HttpError(`Unknown action '${payload?.action}'.`, 400);
+    }
+    const action = postActions[payload.action];
+    const auth = authenticate(e?.parameter?.token ?? payload.token);
+    requireScope(auth, "write");
+
+    const profile = loadProfile(e?.parameter?.user);
+    const list = openListSheet(profile);
+    // Serialize writes so concurrent requests cannot assign the same id.
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10000)) {
+      throw new HttpError("Another write is in progress. Try again later.", 503);
+    }
+    try {
+      const values = readSheetValues(list);
+      if (values.length === 0) {
+        throw new HttpError(`Sheet '${profile.sheetName}' has no header row.`, 409);
+      }
+      // In strict mode, refuse to write to a sheet we could not read back.
+      const headers = selectColumns(
+        values[0].map((h) => canonicalHeader(h, profile.headerAliases)),
+        profile
+      );
+      const idIndex = headers.indexOf("id");
+      if (idIndex < 0) {
+        throw new HttpError(`Sheet '${profile.sheetName}' has no 'id' column.`, 409);
+      }
+
+      const row = action(payload, {
+        list,
+        values,
+        headers,
+        idIndex,
+        profile,
+      });
+      const before =
+        payload.action === "create"
+          ? null
+          : values[findRowIndex(values, idIndex, payload.id)];
+      appendHistory(
+        profile,
+        auth.name || "api",
+        describeRowChanges(headers, before, payload.action === "delete" ? null : row)
+      );
+      invalidateCache();
+      const [item] = convertSheetDataToObjects([values[0], row], profile);
+      return createJsonResponse(item);
+    } finally {
+      lock.releaseLock();
+    }
+  });
 }
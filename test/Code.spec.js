@@ -1,8 +1,10 @@
-import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createHash } from "crypto";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 
 import * as testData from "./testData.js";
 
-let doGet, convertSheetDataToObjects, calculateAge;
+let doGet, doPost, convertSheetDataToObjects, calculateAge, loadProfile;
+let installTriggers, onSheetChange, decadeEndDate, validateSheetData;
 
 // Mock implementation for Google Apps Script APIs
 // A factory function to create a new mock TextOutput object for each call,
@@ -24,7 +26,11 @@ const mockContentService = {
   // Pass the optional content argument to the factory.
   createTextOutput: vi.fn((content) => createMockTextOutput(content)),
   MimeType: {
+    ATOM: "application/atom+xml",
+    CSV: "text/csv",
+    ICAL: "text/calendar",
     JAVASCRIPT: "application/javascript",
+    RSS: "application/rss+xml",
     TEXT: "text/plain",
   },
 };
@@ -42,11 +48,34 @@ const mockSheet = {
     return this.lastCol;
   }),
   getRange: vi.fn(function (r, c, numRows, numCols) {
-    // Basic implementation to return the data for the requested range
+    // Basic implementation to read and write the data for the requested range
     return {
-      getValues: vi.fn(() => this.data),
+      getValues: vi.fn(() =>
+        this.data
+          .slice(r - 1, r - 1 + numRows)
+          .map((row) => row.slice(c - 1, c - 1 + numCols))
+      ),
+      setValues: vi.fn((rows) => {
+        rows.forEach((row, i) => {
+          this.data[r - 1 + i] = row;
+        });
+        return this;
+      }),
+      setValue: vi.fn((value) => {
+        this.data[r - 1][c - 1] = value;
+        return this;
+      }),
     };
   }),
+  appendRow: vi.fn(function (row) {
+    this.data.push(row);
+    this.lastRow = this.data.length;
+    return this;
+  }),
+  deleteRow: vi.fn(function (rowPosition) {
+    this.data.splice(rowPosition - 1, 1);
+    this.lastRow = this.data.length;
+  }),
 };
 
 // Function to reset the mock sheet's data for different test scenarios
@@ -57,24 +86,160 @@ const setMockSheetData = (data) => {
   mockSheet.lastCol = deepCopy[0]?.length || 0;
 };
 
+// A read-only sheet holding fixed values, for auxiliary sheets like "config".
+const createMockValuesSheet = (values) => ({
+  getLastRow: () => values.length,
+  getLastColumn: () => values[0]?.length || 0,
+  getRange: () => ({ getValues: () => values }),
+});
+
+// A writable sheet that only supports appending, for sheets like "history".
+const createMockAppendSheet = (values = []) => ({
+  values,
+  getLastRow: () => values.length,
+  getLastColumn: () => values[0]?.length || 0,
+  getRange: vi.fn((row) => ({
+    getValues: () => values,
+    setValues: (rows) => values.splice(row - 1, rows.length, ...rows),
+  })),
+  appendRow: vi.fn((row) => values.push(row)),
+});
+
 const mockSpreadsheet = {
+  getId: vi.fn(() => "test-spreadsheet-id"),
   getSheetByName: vi.fn((name) => (name === "list" ? mockSheet : null)),
+  insertSheet: vi.fn(() => createMockAppendSheet()),
 };
 
 const mockSpreadsheetApp = {
   openById: vi.fn(() => mockSpreadsheet),
 };
 
+// Mirrors Utilities.computeDigest, which returns signed bytes.
+const sha256Bytes = (value) =>
+  [...createHash("sha256").update(value, "utf8").digest()].map((b) =>
+    b > 127 ? b - 256 : b
+  );
+const sha256Hex = (value) =>
+  createHash("sha256").update(value, "utf8").digest("hex");
+
+// Apps Script represents bytes as signed integers.
+const toSignedBytes = (buffer) => [...buffer].map((b) => (b > 127 ? b - 256 : b));
+
+// Matches the timeZone of appsscript.json.
+const mockSession = {
+  getScriptTimeZone: vi.fn(() => "Asia/Tokyo"),
+};
+
+const mockUtilities = {
+  computeDigest: vi.fn((algorithm, value) => sha256Bytes(value)),
+  base64Decode: vi.fn((text) => toSignedBytes(Buffer.from(text, "base64"))),
+  base64Encode: vi.fn((bytes) => Buffer.from(bytes.map((b) => b & 0xff)).toString("base64")),
+  newBlob: vi.fn((text) => ({ getBytes: () => toSignedBytes(Buffer.from(text, "utf8")) })),
+  DigestAlgorithm: { SHA_256: "SHA_256" },
+  Charset: { UTF_8: "UTF_8" },
+};
+
+// Plain-text tokens accepted by the tests, stored hashed in API_TOKENS.
+const tokens = {
+  read: "read-token",
+  write: "write-token",
+  admin: "admin-token",
+  none: "no-scope-token",
+};
+
+// Script Properties holding the owner profile used throughout the tests.
+const defaultProperties = {
+  SPREADSHEET_ID: "test-spreadsheet-id",
+  BIRTH_DATE: "1979-09-02T00:00:00+09:00",
+  API_TOKENS: JSON.stringify({
+    [sha256Hex(tokens.read)]: { name: "reader", scopes: ["read"] },
+    [sha256Hex(tokens.write)]: { name: "writer", scopes: ["write"] },
+    [sha256Hex(tokens.admin)]: { name: "admin", scopes: ["admin"] },
+    [sha256Hex(tokens.none)]: { name: "nobody" },
+  }),
+};
+
+const mockScriptProperties = {
+  properties: { ...defaultProperties },
+  getProperties: vi.fn(function () {
+    return { ...this.properties };
+  }),
+  getProperty: vi.fn(function (key) {
+    return this.properties[key] ?? null;
+  }),
+  setProperty: vi.fn(function (key, value) {
+    this.properties[key] = value;
+    return this;
+  }),
+};
+
+// An in-memory script cache; `store` is reset before each test.
+const mockCache = {
+  store: new Map(),
+  get: vi.fn(function (key) {
+    return this.store.get(key) ?? null;
+  }),
+  getAll: vi.fn(function (keys) {
+    return Object.fromEntries(
+      keys.filter((key) => this.store.has(key)).map((key) => [key, this.store.get(key)])
+    );
+  }),
+  put: vi.fn(function (key, value) {
+    this.store.set(key, value);
+  }),
+  putAll: vi.fn(function (values) {
+    Object.entries(values).forEach(([key, value]) => this.store.set(key, value));
+  }),
+};
+
+const mockCacheService = {
+  getScriptCache: vi.fn(() => mockCache),
+};
+
+const mockPropertiesService = {
+  getScriptProperties: vi.fn(() => mockScriptProperties),
+};
+
+const mockScriptApp = {
+  getService: vi.fn(() => ({
+    getUrl: () => "https://script.google.com/macros/s/test/exec",
+  })),
+};
+
+const mockLock = {
+  tryLock: vi.fn(() => true),
+  releaseLock: vi.fn(),
+};
+
+const mockLockService = {
+  getScriptLock: vi.fn(() => mockLock),
+};
+
 // Stub the global objects before each test
 beforeEach(async () => {
   vi.resetModules();
   vi.stubGlobal("SpreadsheetApp", mockSpreadsheetApp);
   vi.stubGlobal("ContentService", mockContentService);
+  vi.stubGlobal("LockService", mockLockService);
+  vi.stubGlobal("PropertiesService", mockPropertiesService);
+  vi.stubGlobal("Utilities", mockUtilities);
+  vi.stubGlobal("CacheService", mockCacheService);
+  vi.stubGlobal("ScriptApp", mockScriptApp);
+  vi.stubGlobal("Session", mockSession);
+  mockScriptProperties.properties = { ...defaultProperties };
+  mockCache.store = new Map();
 
   const module = await import("../src/Code.js");
   doGet = module.doGet;
+  doPost = module.doPost;
   convertSheetDataToObjects = module.convertSheetDataToObjects;
   calculateAge = module.calculateAge;
+  loadProfile = module.loadProfile;
+  installTriggers = module.installTriggers;
+  onSheetChange = module.onSheetChange;
+  decadeEndDate = module.decadeEndDate;
+  validateSheetData = module.validateSheetData;
 });
 
 describe("doGet", () => {
@@ -153,194 +318,1558 @@ describe("doGet", () => {
   });
 });
 
-describe("convertSheetDataToObjects", () => {
-  it("should correctly convert normal sheet data", () => {
-    const result = convertSheetDataToObjects(
-      testData.normalSheetData.map((row) => [...row])
+describe("doGet query parameters", () => {
+  // Runs doGet with the given query parameters and parses the JSON body.
+  const query = (parameter) => JSON.parse(doGet({ parameter }).content);
+  const ids = (items) => items.map((item) => item.id);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
     );
-    expect(result).toHaveLength(2);
-    expect(result[0].id).toBe(1);
-    expect(result[1].category).toBe("スキル・学習");
-    // Check that a valid date string is converted to an ISO string.
-    expect(result[1].completed_at).toBe("2024-01-15T10:00:00.000Z");
+    setMockSheetData(testData.querySheetData);
   });
 
-  it("should handle boundary values correctly", () => {
-    const result = convertSheetDataToObjects(
-      testData.boundarySheetData.map((row) => [...row])
-    );
-    expect(result).toHaveLength(2);
-    expect(result[0].title).toBe("A");
-    // Check that a valid date string is converted to an ISO string.
-    expect(result[0].completed_at).toBe("2023-01-01T00:00:00.000Z");
-    expect(result[1].title).toHaveLength(255);
+  it("should filter by category", () => {
+    expect(ids(query({ category: "場所・旅行" }))).toEqual([31, 33, 35]);
   });
 
-  it("should handle rows with fewer columns than headers", () => {
-    const result = convertSheetDataToObjects(
-      JSON.parse(JSON.stringify(testData.abnormalSheetDataShortRow))
-    );
-    expect(result).toHaveLength(1);
-    expect(result[0].id).toBe(5);
-    expect(result[0].title).toBe("毎朝のジョギングを習慣にする");
-    // Missing string-like keys should be normalized to an empty string.
-    expect(result[0].note).toBe("");
-    // `completed_at` is special and normalizes to null when missing.
-    expect(result[0].completed_at).toBeNull();
+  it("should filter by the decade of target_age", () => {
+    expect(ids(query({ target_age: "85" }))).toEqual([32, 33]);
   });
 
-  it("should handle and normalize varied and unexpected data types", () => {
-    const fakeNow = new Date("2020-01-01T00:00:00.000Z"); // A date when age is 40
-    vi.useFakeTimers();
-    vi.setSystemTime(fakeNow);
+  it("should filter by completed", () => {
+    expect(ids(query({ completed: "true" }))).toEqual([32, 33]);
+    expect(ids(query({ completed: "false" }))).toEqual([31, 34, 35]);
+  });
 
-    const result = convertSheetDataToObjects(
-      // Note: JSON.stringify converts `undefined` to `null`, so we deep-copy manually.
-      testData.dataTypeVarietyData.map((row) => [...row])
-    );
-    expect(result).toHaveLength(1);
-    const item = result[0];
+  it("should search title and note case-insensitively with q", () => {
+    expect(ids(query({ q: "PIANO" }))).toEqual([32, 35]);
+  });
 
-    // 'id' is "not-a-number", which should result in null.
-    expect(item.id).toBeNull();
+  it("should combine filters", () => {
+    expect(ids(query({ category: "場所・旅行", completed: "false" }))).toEqual([
+      31, 35,
+    ]);
+  });
 
-    // 'category' is null, should be normalized to an empty string.
-    expect(item.category).toBe("");
+  it("should sort ascending by default and descending on request", () => {
+    expect(ids(query({ sort: "target_age" }))).toEqual([31, 32, 33, 34, 35]);
+    expect(ids(query({ sort: "id", order: "desc" }))).toEqual([
+      35, 34, 33, 32, 31,
+    ]);
+  });
 
-    // 'target_age' is always overridden, should be 40 based on fakeNow.
-    expect(item.target_age).toBe(40);
+  it("should sort items without completed_at last in either order", () => {
+    expect(ids(query({ sort: "completed_at" }))).toEqual([33, 32, 31, 34, 35]);
+    expect(ids(query({ sort: "completed_at", order: "desc" }))).toEqual([
+      32, 33, 31, 34, 35,
+    ]);
+  });
 
-    // 'note' is undefined, should be normalized to an empty string.
-    expect(item.note).toBe("");
+  it("should return a page with the total and next offset", () => {
+    const page = query({ sort: "id", limit: "2", offset: "2" });
 
-    // 'image_url' is an invalid format, should be an empty string.
-    expect(item.image_url).toBe("");
+    expect(ids(page.items)).toEqual([33, 34]);
+    expect(page.total).toBe(5);
+    expect(page.limit).toBe(2);
+    expect(page.offset).toBe(2);
+    expect(page.next_offset).toBe(4);
+  });
 
-    // 'completed' is a string "false", should be converted to a boolean.
-    expect(item.completed).toBe(false);
+  it("should return a null next offset on the last page", () => {
+    const page = query({ completed: "false", limit: "2", offset: "2" });
 
-    // 'completed_at' is an invalid date string, should be normalized to null.
-    expect(item.completed_at).toBeNull();
+    expect(ids(page.items)).toEqual([35]);
+    expect(page.total).toBe(3);
+    expect(page.next_offset).toBeNull();
   });
 
-  it("should return an empty array for header-only data", () => {
-    const result = convertSheetDataToObjects(
-      JSON.parse(JSON.stringify(testData.headerOnlySheetData))
+  it("should paginate with only an offset", () => {
+    const page = query({ offset: "4" });
+
+    expect(ids(page.items)).toEqual([35]);
+    expect(page.limit).toBeNull();
+    expect(page.next_offset).toBeNull();
+  });
+
+  it("should wrap a page in JSONP when a callback is given", () => {
+    const result = doGet({ parameter: { limit: "1", callback: "cb" } });
+
+    expect(result.content.startsWith('cb({"items":')).toBe(true);
+  });
+
+  it.each([
+    ["sort", { sort: "note" }],
+    ["order", { sort: "id", order: "sideways" }],
+    ["limit", { limit: "0" }],
+    ["offset", { offset: "-1" }],
+    ["target_age", { target_age: "forty" }],
+    ["completed", { completed: "maybe" }],
+  ])("should return a 400 error for an invalid %s", (name, parameter) => {
+    const parsedError = query(parameter);
+
+    expect(parsedError.error.code).toBe(400);
+    expect(parsedError.error.message).toBe(`Invalid value for '${name}'.`);
+  });
+});
+
+describe("doGet single item", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
     );
-    expect(result).toEqual([]);
+    setMockSheetData(testData.normalSheetData);
+  });
+
+  it("should return one item for the id parameter", () => {
+    const result = doGet({ parameter: { id: "2" } });
+    const item = JSON.parse(result.content);
+
+    expect(item.id).toBe(2);
+    expect(item.title).toBe("新しいプログラミング言語を習득する");
+    expect(result.mimeType).toBe(mockContentService.MimeType.TEXT);
+  });
+
+  it("should return one item for an items path", () => {
+    const result = doGet({ parameter: {}, pathInfo: "items/1" });
+
+    expect(JSON.parse(result.content).id).toBe(1);
+  });
+
+  it("should wrap a single item in JSONP when a callback is given", () => {
+    const result = doGet({ parameter: { id: "1", callback: "cb" } });
+
+    expect(result.content.startsWith('cb({"id":1,')).toBe(true);
   });
 
   it.each([
-    ["undefined", undefined],
-    ["null", null],
-    ["an empty array", []],
-    ["an array with one empty row", [[]]],
-  ])("should return an empty array when input is %s", (name, input) => {
-    const result = convertSheetDataToObjects(input);
-    expect(result).toEqual([]);
+    ["does not exist", { parameter: { id: "99" } }, "Item '99' not found."],
+    ["is not a number", { parameter: { id: "abc" } }, "Item 'abc' not found."],
+    ["is empty", { parameter: { id: "" } }, "Item '' not found."],
+    ["path has no item", { parameter: {}, pathInfo: "items/7" }, "Item '7' not found."],
+    ["path is unknown", { parameter: {}, pathInfo: "things/1" }, "Path '/things/1' not found."],
+  ])("should return a 404 error when the id %s", (name, e, message) => {
+    const parsedError = JSON.parse(doGet(e).content);
+
+    expect(parsedError.error.code).toBe(404);
+    expect(parsedError.error.message).toBe(message);
   });
+});
 
-  it("should pass through unhandled fields via the default case", () => {
-    const result = convertSheetDataToObjects(
-      JSON.parse(JSON.stringify(testData.normalSheetData))
+describe("doGet stats view", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
     );
-    expect(result[0].extra_field).toBe("extra1");
-    expect(result[1].extra_field).toBe("extra2");
+    setMockSheetData(testData.querySheetData);
   });
 
-  it("should set completed_at to the current date if completed is true but date is missing", () => {
-    // Fake the system time to get a predictable ISO string
-    const fakeNow = new Date("2024-07-31T10:00:00.000Z");
-    vi.useFakeTimers();
-    vi.setSystemTime(fakeNow);
+  it("should summarize totals and completion rates", () => {
+    const stats = JSON.parse(doGet({ parameter: { view: "stats" } }).content);
 
-    const result = convertSheetDataToObjects(
-      testData.completedWithNoDate.map((row) => [...row])
+    expect(stats.total).toBe(5);
+    expect(stats.completed).toBe(2);
+    expect(stats.completion_rate).toBe(40);
+    expect(stats.by_decade).toEqual([
+      { target_age: 70, total: 1, completed: 0, completion_rate: 0 },
+      { target_age: 80, total: 2, completed: 2, completion_rate: 100 },
+      { target_age: 90, total: 2, completed: 0, completion_rate: 0 },
+    ]);
+    expect(stats.by_category).toEqual([
+      { category: "スキル・学習", total: 1, completed: 1, completion_rate: 100 },
+      { category: "健康・運動", total: 1, completed: 0, completion_rate: 0 },
+      { category: "場所・旅行", total: 3, completed: 1, completion_rate: 33.3 },
+    ]);
+  });
+
+  it("should count completions per month and per year", () => {
+    const stats = JSON.parse(doGet({ parameter: { view: "stats" } }).content);
+
+    expect(stats.completions_by_month).toEqual([
+      { month: "2023-06", count: 1 },
+      { month: "2024-03", count: 1 },
+    ]);
+    expect(stats.completions_by_year).toEqual([
+      { year: "2023", count: 1 },
+      { year: "2024", count: 1 },
+    ]);
+  });
+
+  it("should match the items the list endpoint returns for the same filters", () => {
+    const parameter = { category: "場所・旅行" };
+    const list = JSON.parse(doGet({ parameter }).content);
+    const stats = JSON.parse(
+      doGet({ parameter: { ...parameter, view: "stats" } }).content
     );
 
-    expect(result).toHaveLength(1);
-    expect(result[0].completed).toBe(true);
-    // Should be the ISO string representation of the fake Date
-    expect(result[0].completed_at).toBe(fakeNow.toISOString());
+    expect(stats.total).toBe(list.length);
+    expect(stats.completed).toBe(list.filter((item) => item.completed).length);
+  });
 
-    // Clean up the fake timers
-    vi.useRealTimers();
+  it("should report zero rates for an empty sheet", () => {
+    setMockSheetData([testData.headers]);
+    const stats = JSON.parse(doGet({ parameter: { view: "stats" } }).content);
+
+    expect(stats).toEqual({
+      total: 0,
+      completed: 0,
+      completion_rate: 0,
+      by_decade: [],
+      by_category: [],
+      completions_by_month: [],
+      completions_by_year: [],
+    });
   });
 
-  it("should normalize a future date to null", () => {
+  it("should return a 400 error for an unknown view", () => {
+    const parsedError = JSON.parse(doGet({ parameter: { view: "pie" } }).content);
+
+    expect(parsedError.error.code).toBe(400);
+    expect(parsedError.error.message).toBe("Invalid value for 'view'.");
+  });
+});
+
+describe("doPost", () => {
+  // Builds an authorized POST event carrying the given JSON payload.
+  const post = (payload) => ({
+    parameter: { token: tokens.write },
+    postData: { contents: JSON.stringify(payload), type: "application/json" },
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(testData.normalSheetData);
+  });
+
+  it("should create an item with the next free id", () => {
+    const result = doPost(
+      post({
+        action: "create",
+        item: { title: " 富士山に登る ", category: "場所・旅行", target_age: 50 },
+      })
+    );
+    const item = JSON.parse(result.content);
+
+    expect(result.mimeType).toBe(mockContentService.MimeType.TEXT);
+    expect(item.id).toBe(3);
+    expect(item.title).toBe("富士山に登る");
+    expect(item.completed).toBe(false);
+    expect(item.completed_at).toBeNull();
+    expect(mockSheet.appendRow).toHaveBeenCalledTimes(1);
+    // The new row follows the sheet's header order.
+    expect(mockSheet.data[3][0]).toBe(3);
+    expect(mockSheet.data[3][3]).toBe("富士山に登る");
+    expect(mockLock.releaseLock).toHaveBeenCalled();
+  });
+
+  it("should answer 503 when the write lock is busy", () => {
+    mockLock.tryLock.mockReturnValueOnce(false);
+
+    const result = JSON.parse(doPost(post({ action: "create", item: { title: "T" } })).content);
+
+    expect(result.error).toEqual({
+      code: 503,
+      message: "Another write is in progress. Try again later.",
+    });
+    expect(mockSheet.appendRow).not.toHaveBeenCalled();
+    expect(mockLock.releaseLock).not.toHaveBeenCalled();
+  });
+
+  it("should stamp completed_at when creating a completed item", () => {
     const fakeNow = new Date("2024-07-31T10:00:00.000Z");
     vi.useFakeTimers();
     vi.setSystemTime(fakeNow);
 
-    const result = convertSheetDataToObjects(
-      testData.futureDateData.map((row) => [...row])
+    const result = doPost(
+      post({ action: "create", item: { title: "T", completed: true } })
     );
+    const item = JSON.parse(result.content);
 
-    expect(result).toHaveLength(1);
-    expect(result[0].completed_at).toBeNull();
+    expect(item.completed).toBe(true);
+    expect(item.completed_at).toBe(fakeNow.toISOString());
 
     vi.useRealTimers();
   });
 
-  it("should trim whitespace from string fields", () => {
-    const result = convertSheetDataToObjects(
-      testData.untrimmedStringsData.map((row) => [...row])
+  it("should update only the given fields of an item", () => {
+    const result = doPost(
+      post({ action: "update", id: 1, item: { note: "一ヶ月滞在する" } })
     );
-    expect(result).toHaveLength(1);
-    const item = result[0];
-    expect(item.category).toBe("カテゴリA");
-    expect(item.title).toBe("空白のあるタイトル");
-    expect(item.note).toBe("ノートのテキスト。");
-    expect(item.image_url).toBe("https://example.com/image.jpg");
+    const item = JSON.parse(result.content);
+
+    expect(item.id).toBe(1);
+    expect(item.note).toBe("一ヶ月滞在する");
+    expect(item.title).toBe("沖縄に長期滞在したい");
+    expect(mockSheet.data[1][4]).toBe("一ヶ月滞在する");
+    expect(mockSheet.data[1][8]).toBe("extra1");
   });
 
-  it("should set completed_at to null if completed is false", () => {
-    const result = convertSheetDataToObjects(
-      testData.completedFalseWithDateData.map((row) => [...row])
+  it("should write only the changed cells, leaving dates and formulas alone", () => {
+    const completedAt = new Date("2024-01-15T10:00:00.000Z");
+    mockSheet.data[2][7] = completedAt;
+
+    doPost(post({ action: "update", id: 2, item: { note: "更新" } }));
+
+    expect(mockSheet.getRange).toHaveBeenCalledTimes(2);
+    expect(mockSheet.getRange).toHaveBeenLastCalledWith(3, 5);
+    expect(mockSheet.data[2][4]).toBe("更新");
+    expect(mockSheet.data[2][7]).toBe(completedAt);
+  });
+
+  it("should complete an item with the given date", () => {
+    const result = doPost(
+      post({ action: "complete", id: 1, completed_at: "2024-05-05T00:00:00.000Z" })
     );
-    expect(result).toHaveLength(1);
-    expect(result[0].completed).toBe(false);
-    expect(result[0].completed_at).toBeNull();
+    const item = JSON.parse(result.content);
+
+    expect(item.completed).toBe(true);
+    expect(item.completed_at).toBe("2024-05-05T00:00:00.000Z");
+    // Dates are written as Date values, so the sheet keeps a date cell.
+    expect(mockSheet.data[1][7]).toEqual(new Date("2024-05-05T00:00:00.000Z"));
   });
 
-  it("should conditionally normalize target_age based on calculated age", () => {
-    // Set a date where the person born in 1979-09-02 is 45 years old.
-    // The normalized age (floor(45 / 10) * 10) will be 40.
-    const fakeNow = new Date("2024-09-02T10:00:00.000Z");
+  it("should replace a future completed_at with the current time", () => {
+    const fakeNow = new Date("2024-07-31T10:00:00.000Z");
     vi.useFakeTimers();
     vi.setSystemTime(fakeNow);
 
-    const result = convertSheetDataToObjects(
-      testData.targetAgeNormalizationData.map((row) => [...row])
+    const result = doPost(
+      post({ action: "complete", id: 1, completed_at: "2099-01-01T00:00:00.000Z" })
     );
 
-    expect(result).toHaveLength(8);
-    // Case 1: 20 < 40, should be overwritten.
-    expect(result[0].target_age).toBe(40);
-    // Case 2: 40 === 40, should NOT be overwritten.
-    expect(result[1].target_age).toBe(40);
-    // Case 3: 50 > 40, should NOT be overwritten.
-    expect(result[2].target_age).toBe(50);
-    // Case 4: 130 > 100 (invalid), should be overwritten.
-    expect(result[3].target_age).toBe(40);
-    // Case 5: null, should be overwritten.
-    expect(result[4].target_age).toBe(40);
-    // Case 6: "" (empty string), should be overwritten.
-    expect(result[5].target_age).toBe(40);
-    // Case 7: 49 is a valid age > 40, should be rounded down to 40.
-    expect(result[6].target_age).toBe(40);
-    // Case 8: 51 is a valid age > 40, should be rounded down to 50.
-    expect(result[7].target_age).toBe(50);
+    expect(JSON.parse(result.content).completed_at).toBe(fakeNow.toISOString());
 
     vi.useRealTimers();
   });
 
-  it("should handle varied header casing and spacing", () => {
-    const dataWithVariedHeaders = [
-      [
-        " ID ",
-        "Category",
-        "TARGET_AGE",
+  it("should keep an existing completed_at when completing again", () => {
+    const result = doPost(post({ action: "complete", id: 2 }));
+
+    expect(JSON.parse(result.content).completed_at).toBe(
+      "2024-01-15T10:00:00.000Z"
+    );
+  });
+
+  it("should clear completed_at when uncompleting an item", () => {
+    const result = doPost(post({ action: "uncomplete", id: 2 }));
+    const item = JSON.parse(result.content);
+
+    expect(item.completed).toBe(false);
+    expect(item.completed_at).toBeNull();
+    expect(mockSheet.data[2][7]).toBe("");
+  });
+
+  it("should delete an item and return it", () => {
+    const result = doPost(post({ action: "delete", id: 1 }));
+
+    expect(JSON.parse(result.content).id).toBe(1);
+    expect(mockSheet.deleteRow).toHaveBeenCalledWith(2);
+    expect(mockSheet.data).toHaveLength(2);
+  });
+
+  it.each([
+    ["an unknown action", { action: "explode" }, "Unknown action 'explode'."],
+    ["a missing item", { action: "create" }, "Field 'item' must be an object."],
+    ["a missing title", { action: "create", item: { note: "N" } }, "Field 'title' is required."],
+    ["a server-assigned id", { action: "create", item: { id: 9, title: "T" } }, "Field 'id' is assigned by the server."],
+    ["an unknown field", { action: "update", id: 1, item: { colour: "red" } }, "Unknown field 'colour'."],
+    ["an invalid target_age", { action: "update", id: 1, item: { target_age: 130 } }, "Invalid value for 'target_age'."],
+    ["an invalid image_url", { action: "update", id: 1, item: { image_url: "ftp://x" } }, "Invalid value for 'image_url'."],
+    ["an invalid completed_at", { action: "complete", id: 1, completed_at: "2024-99-99" }, "Invalid value for 'completed_at'."],
+    ["an unrecognized completed", { action: "update", id: 2, item: { completed: "maybe" } }, "Invalid value for 'completed'."],
+    ["an object in a plain column", { action: "update", id: 1, item: { extra_field: { a: 1 } } }, "Invalid value for 'extra_field'."],
+    ["an array in a plain column", { action: "create", item: { title: "T", extra_field: [1] } }, "Invalid value for 'extra_field'."],
+  ])("should return a 400 error for %s", (name, payload, message) => {
+    const result = doPost(post(payload));
+    const parsedError = JSON.parse(result.content);
+
+    expect(parsedError.error.code).toBe(400);
+    expect(parsedError.error.message).toBe(message);
+  });
+
+  it("should return a 400 error for a body that is not JSON", () => {
+    const result = doPost({ ...post({}), postData: { contents: "{" } });
+
+    expect(JSON.parse(result.content).error.code).toBe(400);
+  });
+
+  it.each([
+    ["does not exist", 99],
+    ["is not a number", "abc"],
+  ])("should return a 404 error when the id %s", (name, id) => {
+    const result = doPost(post({ action: "update", id, item: { note: "N" } }));
+    const parsedError = JSON.parse(result.content);
+
+    expect(parsedError.error.code).toBe(404);
+    expect(parsedError.error.message).toBe(`Item '${id}' not found.`);
+  });
+
+  it("should return a 404 error if the sheet is not found", () => {
+    mockSpreadsheet.getSheetByName.mockReturnValue(null);
+    const result = doPost(post({ action: "delete", id: 1 }));
+
+    expect(JSON.parse(result.content).error.code).toBe(404);
+  });
+
+  it("should return a 409 error for a sheet without headers", () => {
+    setMockSheetData([]);
+    const result = doPost(post({ action: "create", item: { title: "T" } }));
+
+    expect(JSON.parse(result.content).error.code).toBe(409);
+  });
+});
+
+describe("loadProfile", () => {
+  // A config sheet with a header row followed by key/value rows.
+  const configSheet = (rows) => createMockValuesSheet([["key", "value"], ...rows]);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+  });
+
+  it("should read settings from Script Properties and apply defaults", () => {
+    const profile = loadProfile();
+
+    expect(mockSpreadsheetApp.openById).toHaveBeenCalledWith("test-spreadsheet-id");
+    expect(profile.spreadsheet).toBe(mockSpreadsheet);
+    expect(profile.sheetName).toBe("list");
+    expect(profile.birthDate.toISOString()).toBe("1979-09-01T15:00:00.000Z");
+    expect(profile.timeZone).toBe("Asia/Tokyo");
+  });
+
+  it("should fall back to the config sheet for settings not in Script Properties", () => {
+    mockScriptProperties.properties = {
+      SPREADSHEET_ID: "test-spreadsheet-id",
+      TIME_ZONE: "Europe/London",
+    };
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "config"
+        ? configSheet([
+            ["BIRTH_DATE", "1990-05-05T00:00:00Z"],
+            ["SHEET_NAME", "items"],
+            ["TIME_ZONE", "America/New_York"],
+            ["", "ignored"],
+          ])
+        : null
+    );
+
+    const profile = loadProfile();
+
+    expect(profile.birthDate.toISOString()).toBe("1990-05-05T00:00:00.000Z");
+    expect(profile.sheetName).toBe("items");
+    // Script Properties take precedence over the config sheet.
+    expect(profile.timeZone).toBe("Europe/London");
+  });
+
+  it.each([
+    ["SPREADSHEET_ID", {}, "Missing required setting 'SPREADSHEET_ID'."],
+    ["BIRTH_DATE", { SPREADSHEET_ID: "id", BIRTH_DATE: " " }, "Missing required setting 'BIRTH_DATE'."],
+  ])("should throw a 500 error when %s is missing", (name, properties, message) => {
+    mockScriptProperties.properties = properties;
+
+    expect(() => loadProfile()).toThrow(message);
+  });
+
+  it.each([
+    ["BIRTH_DATE", { BIRTH_DATE: "someday" }],
+    ["TIME_ZONE", { TIME_ZONE: "Mars/Olympus_Mons" }],
+  ])("should throw a 500 error when %s is invalid", (name, properties) => {
+    mockScriptProperties.properties = { ...defaultProperties, ...properties };
+
+    expect(() => loadProfile()).toThrow(`Invalid setting '${name}'.`);
+  });
+
+  it("should return a 500 error response from doGet when settings are missing", () => {
+    mockScriptProperties.properties = {};
+    const parsedError = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(parsedError.error.code).toBe(500);
+    expect(parsedError.error.message).toBe(
+      "Missing required setting 'SPREADSHEET_ID'."
+    );
+  });
+
+  it("should read the list from the configured sheet name", () => {
+    mockScriptProperties.properties = { ...defaultProperties, SHEET_NAME: "items" };
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "items" ? mockSheet : null
+    );
+    setMockSheetData(testData.normalSheetData);
+
+    expect(JSON.parse(doGet({ parameter: {} }).content)).toHaveLength(2);
+  });
+
+  it("should name the configured sheet when it is not found", () => {
+    mockScriptProperties.properties = { ...defaultProperties, SHEET_NAME: "items" };
+    const parsedError = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(parsedError.error.code).toBe(404);
+    expect(parsedError.error.message).toBe("Sheet 'items' not found.");
+  });
+});
+
+describe("multi-user profiles", () => {
+  const usersSheet = createMockValuesSheet([
+    ["user", "spreadsheet_id", "sheet_name", "birth_date", "time_zone"],
+    ["hanako", "", "hanako", "1994-01-01T00:00:00Z", ""],
+    ["taro", "taro-spreadsheet-id", "", "", "Europe/London"],
+  ]);
+  const hanakoSheet = createMockValuesSheet(testData.targetAgeNormalizationData);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) => ({ list: mockSheet, users: usersSheet, hanako: hanakoSheet })[name] ?? null
+    );
+    setMockSheetData(testData.normalSheetData);
+  });
+
+  it("should serve a user's own sheet with ages relative to their birth date", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-09-02T10:00:00.000Z"));
+
+    const result = JSON.parse(doGet({ parameter: { user: "Hanako" } }).content);
+
+    expect(result).toHaveLength(8);
+    // Hanako is 30, so a target age of 20 is rolled forward to 30, not 40.
+    expect(result[0].target_age).toBe(30);
+
+    vi.useRealTimers();
+  });
+
+  it("should open a user's own spreadsheet and fall back to shared settings", () => {
+    const profile = loadProfile("taro");
+
+    expect(mockSpreadsheetApp.openById).toHaveBeenLastCalledWith("taro-spreadsheet-id");
+    expect(profile.user).toBe("taro");
+    expect(profile.sheetName).toBe("list");
+    expect(profile.birthDate.toISOString()).toBe("1979-09-01T15:00:00.000Z");
+    expect(profile.timeZone).toBe("Europe/London");
+  });
+
+  it("should name a user as written in the users sheet, whatever the case", () => {
+    const ics = (user) => doGet({ parameter: { user, format: "ics" } }).content;
+    const uids = (text) => text.match(/^UID:.*$/gm);
+
+    expect(loadProfile(" HANAKO ").user).toBe("hanako");
+    expect(uids(ics("Hanako"))).toEqual(uids(ics("hanako")));
+    expect(uids(ics("Hanako"))[0]).toMatch(/^UID:hanako-item-/);
+    // Every spelling shares one cache entry.
+    const cached = mockCache.store.size;
+    doGet({ parameter: { user: "HANAKO" } });
+    expect(mockCache.store.size).toBe(cached);
+  });
+
+  it("should write to a user's own sheet", () => {
+    const userSheet = { ...mockSheet };
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) => ({ users: usersSheet, hanako: userSheet })[name] ?? null
+    );
+
+    doPost({
+      parameter: { user: "hanako", token: tokens.write },
+      postData: { contents: JSON.stringify({ action: "delete", id: 1 }) },
+    });
+
+    expect(mockSpreadsheet.getSheetByName).toHaveBeenCalledWith("hanako");
+    expect(mockSheet.deleteRow).toHaveBeenCalledWith(2);
+  });
+
+  it.each([
+    ["is not listed", usersSheet],
+    ["cannot be looked up without a users sheet", null],
+  ])("should return a 404 error when the user %s", (name, sheet) => {
+    mockSpreadsheet.getSheetByName.mockImplementation((n) =>
+      n === "users" ? sheet : n === "list" ? mockSheet : null
+    );
+    const parsedError = JSON.parse(doGet({ parameter: { user: "jiro" } }).content);
+
+    expect(parsedError.error.code).toBe(404);
+    expect(parsedError.error.message).toBe("User 'jiro' not found.");
+  });
+
+  it("should serve the owner's list when user is empty", () => {
+    const result = JSON.parse(doGet({ parameter: { user: " " } }).content);
+
+    expect(result).toHaveLength(2);
+    expect(mockSpreadsheet.getSheetByName).not.toHaveBeenCalledWith("users");
+  });
+});
+
+describe("authentication", () => {
+  const privateSheetData = [
+    [...testData.headers, "private"],
+    [...testData.normalSheetData[1], false],
+    [...testData.normalSheetData[2], true],
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    mockScriptProperties.properties = {
+      ...defaultProperties,
+      PRIVATE_FIELDS: "note, extra_field",
+    };
+    setMockSheetData(privateSheetData);
+  });
+
+  it("should hide private items and fields from anonymous callers", () => {
+    const result = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(result).toHaveLength(1);
+    expect(result[0].id).toBe(1);
+    expect(result[0]).not.toHaveProperty("note");
+    expect(result[0]).not.toHaveProperty("extra_field");
+    expect(result[0]).not.toHaveProperty("private");
+    expect(result[0].title).toBe("沖縄に長期滞在したい");
+  });
+
+  it.each([["read"], ["admin"]])(
+    "should show everything to a token with the %s scope",
+    (scope) => {
+      const result = JSON.parse(
+        doGet({ parameter: { token: tokens[scope] } }).content
+      );
+
+      expect(result).toHaveLength(2);
+      expect(result[1].private).toBe(true);
+      expect(result[1].note).toBe(
+        "Webフロントエンドの知識を深めるために、TypeScriptを学びたい。"
+      );
+    }
+  );
+
+  it.each([
+    ["yes", true],
+    [0, false],
+    [true, true],
+  ])("should store private %j as %j", (value, stored) => {
+    doPost({
+      parameter: { token: tokens.write },
+      postData: {
+        contents: JSON.stringify({ action: "update", id: 1, item: { private: value } }),
+      },
+    });
+
+    expect(mockSheet.data[1][9]).toBe(stored);
+  });
+
+  it.each([["maybe"], [42], [""]])("should refuse to store private %j", (value) => {
+    const result = doPost({
+      parameter: { token: tokens.write },
+      postData: {
+        contents: JSON.stringify({ action: "update", id: 1, item: { private: value } }),
+      },
+    });
+
+    expect(JSON.parse(result.content).error).toEqual({
+      code: 400,
+      message: "Invalid value for 'private'.",
+    });
+    expect(mockSheet.data[1][9]).toBe(false);
+  });
+
+  it("should return a 404 error for a private item requested anonymously", () => {
+    const parsedError = JSON.parse(doGet({ parameter: { id: "2" } }).content);
+
+    expect(parsedError.error.code).toBe(404);
+  });
+
+  it("should exclude private items from anonymous stats", () => {
+    const stats = JSON.parse(doGet({ parameter: { view: "stats" } }).content);
+
+    expect(stats.total).toBe(1);
+  });
+
+  it("should return a 401 error for an unknown token", () => {
+    const parsedError = JSON.parse(
+      doGet({ parameter: { token: "guess" } }).content
+    );
+
+    expect(parsedError.error).toEqual({ code: 401, message: "Invalid token." });
+  });
+
+  it("should return a 500 error when API_TOKENS is not JSON", () => {
+    mockScriptProperties.properties.API_TOKENS = "{";
+    const parsedError = JSON.parse(
+      doGet({ parameter: { token: tokens.read } }).content
+    );
+
+    expect(parsedError.error.code).toBe(500);
+    expect(parsedError.error.message).toBe("Invalid setting 'API_TOKENS'.");
+  });
+
+  it.each([
+    ["no token", {}, 401, "Authentication required."],
+    ["a token without the read scope", { token: tokens.write }, 403, "Token lacks the 'read' scope."],
+  ])("should reject %s when PUBLIC_READ is false", (name, parameter, code, message) => {
+    mockScriptProperties.properties.PUBLIC_READ = "false";
+    const parsedError = JSON.parse(doGet({ parameter }).content);
+
+    expect(parsedError.error).toEqual({ code, message });
+  });
+
+  it("should serve a token with the read scope when PUBLIC_READ is false", () => {
+    mockScriptProperties.properties.PUBLIC_READ = "false";
+    const result = JSON.parse(
+      doGet({ parameter: { token: tokens.read } }).content
+    );
+
+    expect(result).toHaveLength(2);
+  });
+
+  it.each([
+    ["no token", {}, undefined, 401, "Authentication required."],
+    ["a token without scopes", { token: tokens.none }, undefined, 403, "Token lacks the 'write' scope."],
+    ["a read-only token", { token: tokens.read }, undefined, 403, "Token lacks the 'write' scope."],
+    ["an unknown body token", {}, "guess", 401, "Invalid token."],
+  ])("should reject writes with %s", (name, parameter, bodyToken, code, message) => {
+    const result = doPost({
+      parameter,
+      postData: {
+        contents: JSON.stringify({ action: "delete", id: 1, token: bodyToken }),
+      },
+    });
+
+    expect(JSON.parse(result.content).error).toEqual({ code, message });
+    expect(mockSheet.deleteRow).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["an admin token in the query", { token: tokens.admin }, undefined],
+    ["a write token in the body", {}, tokens.write],
+  ])("should accept writes with %s", (name, parameter, bodyToken) => {
+    const result = doPost({
+      parameter,
+      postData: {
+        contents: JSON.stringify({ action: "delete", id: 1, token: bodyToken }),
+      },
+    });
+
+    expect(JSON.parse(result.content).id).toBe(1);
+    expect(mockSheet.deleteRow).toHaveBeenCalledWith(2);
+  });
+});
+
+describe("feeds", () => {
+  const feed = (parameter) => doGet({ parameter });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(testData.feedSheetData);
+  });
+
+  it("should render completed items as RSS, newest first", () => {
+    const result = feed({ format: "rss" });
+    const xml = result.content;
+
+    expect(result.mimeType).toBe(mockContentService.MimeType.RSS);
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(xml).toContain("<title>Bucket List</title>");
+    expect(xml).toContain("<link>https://script.google.com/macros/s/test/exec</link>");
+    expect(xml.match(/<item>/g)).toHaveLength(2);
+    expect(xml.indexOf("urn:bucket-list:owner:item:42")).toBeLessThan(
+      xml.indexOf("urn:bucket-list:owner:item:41")
+    );
+    expect(xml).toContain(
+      '<guid isPermaLink="false">urn:bucket-list:owner:item:41</guid>'
+    );
+    expect(xml).toContain("<pubDate>Thu, 01 Feb 2024 12:00:00 GMT</pubDate>");
+    expect(xml).toContain("<category>場所・旅行</category>");
+    expect(xml).not.toContain("未完了の項目");
+    expect(xml).not.toContain("IDのない項目");
+  });
+
+  it("should escape markup in RSS text and attributes", () => {
+    const xml = feed({ format: "rss" }).content;
+
+    expect(xml).toContain("<description>寒さ &lt;-30℃&gt; &amp; 強風</description>");
+    expect(xml).toContain("<title>&quot;本場&quot;の寿司</title>");
+    expect(xml).toContain(
+      '<media:content url="https://example.com/aurora.jpg?w=1&amp;h=2" medium="image"/>'
+    );
+  });
+
+  it("should render completed items as Atom", () => {
+    const result = feed({ format: "atom" });
+    const xml = result.content;
+
+    expect(result.mimeType).toBe(mockContentService.MimeType.ATOM);
+    expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(xml).toContain("<updated>2024-05-05T00:00:00.000Z</updated>");
+    expect(xml.match(/<entry>/g)).toHaveLength(2);
+    expect(xml).toContain("<id>urn:bucket-list:owner:item:41</id>");
+    expect(xml).toContain(
+      '<link rel="alternate" href="https://script.google.com/macros/s/test/exec/items/41"/>'
+    );
+    expect(xml).toContain("<summary>寒さ &lt;-30℃&gt; &amp; 強風</summary>");
+    expect(xml).toContain('<category term="場所・旅行"/>');
+    expect(xml).toContain(
+      '<link rel="enclosure" href="https://example.com/aurora.jpg?w=1&amp;h=2"/>'
+    );
+  });
+
+  it("should use the feed title setting and name the user in ids", () => {
+    mockScriptProperties.properties.FEED_TITLE = "Hanako's <List>";
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) =>
+        ({
+          users: createMockValuesSheet([["user", "sheet_name"], ["hanako", "list"]]),
+          list: mockSheet,
+        })[name] ?? null
+    );
+    const xml = feed({ format: "atom", user: "hanako" }).content;
+
+    expect(xml).toContain("<title>Hanako&apos;s &lt;List&gt;</title>");
+    expect(xml).toContain("<id>urn:bucket-list:hanako</id>");
+    expect(xml).toContain("<id>urn:bucket-list:hanako:item:41</id>");
+    expect(xml).toContain(
+      '<link rel="alternate" href="https://script.google.com/macros/s/test/exec/items/41?user=hanako"/>'
+    );
+  });
+
+  it("should drop control characters XML does not allow", () => {
+    setMockSheetData([
+      testData.headers,
+      [1, "C", 80, "bell\u0007", "", "", true, "2024-01-01T00:00:00.000Z", ""],
+    ]);
+
+    expect(feed({ format: "rss" }).content).toContain("<title>bell</title>");
+  });
+
+  it("should stamp an empty Atom feed with the current time", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-07-31T10:00:00.000Z"));
+    setMockSheetData([testData.headers]);
+
+    expect(feed({ format: "atom" }).content).toContain(
+      "<updated>2024-07-31T10:00:00.000Z</updated>"
+    );
+
+    vi.useRealTimers();
+  });
+
+  it("should apply list filters and pagination to the feed", () => {
+    const xml = feed({ format: "rss", category: "食", limit: "5" }).content;
+
+    expect(xml.match(/<item>/g)).toHaveLength(1);
+    expect(xml).toContain("urn:bucket-list:owner:item:42");
+  });
+
+  it.each([
+    ["an unknown format", { format: "pdf" }, "Invalid value for 'format'."],
+    ["the stats view", { format: "rss", view: "stats" }, "Format 'rss' is only available for the list."],
+    ["a single item", { format: "atom", id: "41" }, "Format 'atom' is only available for the list."],
+  ])("should return a 400 error for %s", (name, parameter, message) => {
+    const parsedError = JSON.parse(feed(parameter).content);
+
+    expect(parsedError.error).toEqual({ code: 400, message });
+  });
+});
+
+describe("calendar export", () => {
+  const ics = (parameter = {}) => doGet({ parameter: { format: "ics", ...parameter } });
+  // Unfolds content lines so assertions can match whole properties.
+  const unfold = (text) => text.replace(/\r\n /g, "");
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-07-31T10:00:00.000Z"));
+    // Birthdays are calendar dates in TIME_ZONE, which defaults to Asia/Tokyo.
+    mockScriptProperties.properties.BIRTH_DATE = "1979-09-02T00:00:00+09:00";
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(testData.feedSheetData);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should render a VCALENDAR with CRLF line endings", () => {
+    const result = ics();
+
+    expect(result.mimeType).toBe(mockContentService.MimeType.ICAL);
+    expect(result.content.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(result.content.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(result.content).toContain("DTSTAMP:20240731T100000Z");
+    expect(result.content.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+  });
+
+  it("should put an open item on the birthday that ends its decade", () => {
+    const text = unfold(ics().content);
+    const event = text.split("BEGIN:VEVENT").find((e) => e.includes("item-43@"));
+
+    // Born 1979-09-02, so the 80s end on the 90th birthday.
+    expect(event).toContain("DTSTART;VALUE=DATE:20690902");
+    expect(event).toContain("DTEND;VALUE=DATE:20690903");
+    expect(event).toContain("STATUS:TENTATIVE");
+  });
+
+  it("should date an overdue item by its deadline, not its rolled-forward target", () => {
+    setMockSheetData([testData.headers, [1, "C", 30, "T", "", "", false, "", ""]]);
+    const [item] = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(item).toMatchObject({ target_age: 40, deadline_date: "2019-09-02" });
+    expect(ics({ nocache: "1" }).content).toContain("DTSTART;VALUE=DATE:20190902");
+  });
+
+  it("should date the target decade when deadline_date is private", () => {
+    mockScriptProperties.properties.PRIVATE_FIELDS = "deadline_date";
+    setMockSheetData([testData.headers, [1, "C", 30, "T", "", "", false, "", ""]]);
+
+    expect(ics().content).toContain("DTSTART;VALUE=DATE:20290902");
+  });
+
+  it("should put a completed item at its completion time", () => {
+    const text = unfold(ics().content);
+    const event = text.split("BEGIN:VEVENT").find((e) => e.includes("item-41@"));
+
+    expect(event).toContain("UID:owner-item-41@bucket-list");
+    expect(event).toContain("DTSTART:20240201T120000Z");
+    expect(event).toContain("STATUS:CONFIRMED");
+    expect(event).toContain("CATEGORIES:場所・旅行");
+  });
+
+  it("should keep the same UID when an item is completed", () => {
+    const before = unfold(ics().content);
+    mockSheet.data[3][6] = true;
+    const after = unfold(ics({ nocache: "1" }).content);
+
+    expect(before).toContain("UID:owner-item-43@bucket-list\r\nDTSTAMP:20240731T100000Z\r\nDTSTART;VALUE=DATE:");
+    expect(after).toContain("UID:owner-item-43@bucket-list\r\nDTSTAMP:20240731T100000Z\r\nDTSTART:20240731T100000Z");
+  });
+
+  it("should escape text values", () => {
+    setMockSheetData([
+      testData.headers,
+      [1, "a,b", 80, "x;y", "line1\nline2 \\ end", "", false, "", ""],
+    ]);
+    const text = unfold(ics().content);
+
+    expect(text).toContain("SUMMARY:x\\;y");
+    expect(text).toContain("DESCRIPTION:line1\\nline2 \\\\ end");
+    expect(text).toContain("CATEGORIES:a\\,b");
+  });
+
+  it("should fold long lines at 75 octets without splitting characters", () => {
+    setMockSheetData([
+      testData.headers,
+      [1, "C", 80, "沖".repeat(60), "", "", false, "", ""],
+    ]);
+    const lines = ics().content.split("\r\n");
+
+    lines.forEach((line) => {
+      expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75);
+    });
+    expect(unfold(ics().content)).toContain(`SUMMARY:${"沖".repeat(60)}`);
+  });
+
+  it("should move a Feb 29 birthday to Mar 1 in common years", () => {
+    mockScriptProperties.properties.BIRTH_DATE = "2000-02-29T12:00:00";
+    setMockSheetData([testData.headers, [1, "C", 40, "T", "", "", false, "", ""]]);
+
+    // The 40s end on the 50th birthday, in 2050, which is not a leap year.
+    expect(ics().content).toContain("DTSTART;VALUE=DATE:20500301");
+  });
+
+  it("should skip items without an id", () => {
+    expect(ics().content).not.toContain("IDのない項目");
+  });
+});
+
+describe("decadeEndDate", () => {
+  const birthDate = new Date("1979-09-02T00:00:00+09:00");
+
+  it("should return the birthday on which the decade ends", () => {
+    expect(decadeEndDate(birthDate, 40, "Asia/Tokyo")).toBe("2029-09-02");
+  });
+
+  it("should read the birthday in the given time zone", () => {
+    // Midnight in Tokyo is still the previous day in UTC.
+    expect(decadeEndDate(birthDate, 40, "UTC")).toBe("2029-09-01");
+  });
+
+  it("should move a Feb 29 birthday to Mar 1 in common years", () => {
+    expect(decadeEndDate(new Date("1980-02-29T12:00:00Z"), 40, "UTC")).toBe("2030-03-01");
+  });
+});
+
+describe("tabular exports", () => {
+  const get = (parameter) => doGet({ parameter });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-07-31T10:00:00.000Z"));
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(testData.feedSheetData);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should render CSV in schema column order with extra columns last", () => {
+    const result = get({ format: "csv", sort: "id" });
+    const lines = result.content.split("\r\n");
+
+    expect(result.mimeType).toBe(mockContentService.MimeType.CSV);
+    expect(lines[0]).toBe(
+      "id,target_age,target_age_raw,target_age_decade,target_age_rolled_forward,completed,image_url,category,title,note,completed_at,completed_on,deadline_date,days_remaining,status,tags,extra_field"
+    );
+    expect(lines[1]).toBe(
+      "41,80,80,80,false,true,https://example.com/aurora.jpg?w=1&h=2,場所・旅行,オーロラを見る,寒さ <-30℃> & 強風,2024-02-01T12:00:00.000Z,2024-02-01,2069-09-02,16469,done,,"
+    );
+    expect(lines[3]).toBe("43,80,80,80,false,false,,食,未完了の項目,,,,2069-09-02,16469,on_track,,");
+    expect(result.content.endsWith("\r\n")).toBe(true);
+  });
+
+  it("should quote CSV fields per RFC 4180", () => {
+    setMockSheetData([
+      testData.headers,
+      [1, "a,b", 80, '"本場"の寿司', "line1\nline2", "", false, "", ""],
+    ]);
+    const [, row] = get({ format: "csv" }).content.split("\r\n");
+
+    expect(row).toBe('1,80,80,80,false,false,,"a,b","""本場""の寿司","line1\nline2",,,2069-09-02,16469,on_track,,');
+  });
+
+  it("should write tags comma-joined as in the sheet", () => {
+    setMockSheetData(testData.tagSheetData);
+    const lines = get({ format: "csv", sort: "id" }).content.split("\r\n");
+
+    expect(lines[0].split(",").slice(-2)).toEqual(["tags", "extra_field"]);
+    expect(lines[1]).toContain(',done,"旅行, 冬, Family",');
+    expect(lines[4]).toMatch(/,on_track,,$/);
+  });
+
+  it("should prepend a byte order mark on request", () => {
+    expect(get({ format: "csv", bom: "1" }).content.startsWith("\uFEFFid,")).toBe(true);
+    expect(get({ format: "csv" }).content.startsWith("id,")).toBe(true);
+  });
+
+  it("should render only a header row for an empty list", () => {
+    setMockSheetData([testData.headers]);
+
+    expect(get({ format: "csv" }).content).toBe(
+      "id,target_age,target_age_raw,target_age_decade,target_age_rolled_forward,completed,image_url,category,title,note,completed_at,completed_on,deadline_date,days_remaining,status,tags\r\n"
+    );
+  });
+
+  it("should render NDJSON with one item per line", () => {
+    const result = get({ format: "ndjson", completed: "true" });
+    const lines = result.content.split("\n");
+
+    expect(result.mimeType).toBe(mockContentService.MimeType.TEXT);
+    expect(lines).toHaveLength(4);
+    expect(lines[3]).toBe("");
+    expect(JSON.parse(lines[0]).title).toBe("オーロラを見る");
+    expect(JSON.parse(lines[2]).id).toBeNull();
+  });
+
+  it("should export the items of a page", () => {
+    const lines = get({ format: "ndjson", limit: "1", offset: "1" }).content.split("\n");
+
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0]).id).toBe(42);
+  });
+});
+
+describe("caching", () => {
+  const get = (parameter) => JSON.parse(doGet({ parameter }).content);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(testData.querySheetData);
+  });
+
+  it("should serve a repeated request from the cache", () => {
+    const first = get({ sort: "id" });
+    setMockSheetData(testData.normalSheetData);
+    const second = get({ sort: "id" });
+
+    expect(second).toEqual(first);
+    expect(mockSheet.getRange).toHaveBeenCalledTimes(1);
+    expect(mockCache.put).toHaveBeenCalledWith(expect.any(String), "1", 300);
+  });
+
+  it("should key the cache by query parameters but not by callback", () => {
+    get({ sort: "id" });
+    doGet({ parameter: { sort: "id", callback: "cb" } });
+    get({ sort: "title" });
+
+    expect(mockSheet.getRange).toHaveBeenCalledTimes(2);
+  });
+
+  it("should cache anonymous and authorized payloads separately", () => {
+    get({});
+    get({ token: tokens.read });
+    get({ token: tokens.admin });
+
+    expect(mockSheet.getRange).toHaveBeenCalledTimes(2);
+  });
+
+  it("should bypass and refresh the cache with nocache=1", () => {
+    get({});
+    setMockSheetData(testData.normalSheetData);
+
+    expect(get({ nocache: "1" })).toHaveLength(2);
+    // The refreshed payload is what later requests get.
+    expect(get({})).toHaveLength(2);
+  });
+
+  it("should serve fresh data after an edit trigger invalidates the cache", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-07-31T10:00:00.000Z"));
+
+    get({});
+    setMockSheetData(testData.normalSheetData);
+    onSheetChange({});
+
+    expect(mockScriptProperties.properties.CACHE_VERSION).toBe(
+      String(Date.parse("2024-07-31T10:00:00.000Z"))
+    );
+    expect(get({})).toHaveLength(2);
+
+    vi.useRealTimers();
+  });
+
+  it("should invalidate the cache after a write", () => {
+    get({});
+    doPost({
+      parameter: { token: tokens.write },
+      postData: { contents: JSON.stringify({ action: "delete", id: 31 }) },
+    });
+
+    expect(get({})).toHaveLength(4);
+  });
+
+  it("should split large payloads into chunks", () => {
+    const longNotes = [
+      testData.headers,
+      [1, "C", 80, "T1", "a".repeat(20000), "", false, "", ""],
+      [2, "C", 80, "T2", "b".repeat(20000), "", false, "", ""],
+    ];
+    setMockSheetData(longNotes);
+
+    const first = get({});
+    const [chunks] = mockCache.putAll.mock.calls[0];
+    setMockSheetData(testData.normalSheetData);
+
+    expect(Object.keys(chunks)).toHaveLength(2);
+    expect(get({})).toEqual(first);
+  });
+
+  it("should recompute when a chunk has expired", () => {
+    get({});
+    const chunkKey = [...mockCache.store.keys()].find((key) => key.endsWith(":0"));
+    mockCache.store.delete(chunkKey);
+    setMockSheetData(testData.normalSheetData);
+
+    expect(get({})).toHaveLength(2);
+  });
+
+  it("should not use the cache when CACHE_TTL_SECONDS is 0", () => {
+    mockScriptProperties.properties.CACHE_TTL_SECONDS = "0";
+    get({});
+
+    expect(mockCacheService.getScriptCache).not.toHaveBeenCalled();
+  });
+
+  it.each([["-1"], ["forever"], ["21601"]])(
+    "should return a 500 error when CACHE_TTL_SECONDS is %s",
+    (ttl) => {
+      mockScriptProperties.properties.CACHE_TTL_SECONDS = ttl;
+
+      expect(get({}).error.message).toBe("Invalid setting 'CACHE_TTL_SECONDS'.");
+    }
+  );
+
+  it("should wrap the payload with its etag and cache version on request", () => {
+    mockScriptProperties.properties.CACHE_VERSION = "1700000000000";
+    const first = get({ envelope: "1" });
+    const second = get({ envelope: "1" });
+
+    expect(first.version).toBe("1700000000000");
+    expect(first.etag).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.last_modified).toBe("2024-03-01T00:00:00.000Z");
+    expect(first.data).toHaveLength(5);
+    expect(second).toEqual(first);
+  });
+
+  it("should change the etag when the payload changes", () => {
+    const before = get({ envelope: "1" });
+    setMockSheetData(testData.normalSheetData);
+    onSheetChange({});
+
+    expect(get({ envelope: "1" }).etag).not.toBe(before.etag);
+  });
+});
+
+describe("conditional GET", () => {
+  const get = (parameter) => JSON.parse(doGet({ parameter }).content);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(testData.querySheetData);
+  });
+
+  it("should report the newest completed_at as last_modified", () => {
+    expect(get({ envelope: "1" }).last_modified).toBe("2024-03-01T00:00:00.000Z");
+  });
+
+  it("should report the last sheet edit when it is newer", () => {
+    mockScriptProperties.properties.CACHE_VERSION = String(
+      Date.parse("2024-05-01T00:00:00.000Z")
+    );
+
+    expect(get({ envelope: "1" }).last_modified).toBe("2024-05-01T00:00:00.000Z");
+  });
+
+  it("should report a null last_modified when nothing is known", () => {
+    setMockSheetData([testData.headers]);
+
+    expect(get({ envelope: "1" }).last_modified).toBeNull();
+  });
+
+  it("should return a not-modified body for a matching etag", () => {
+    const { etag, version, last_modified } = get({ envelope: "1" });
+
+    expect(get({ if_none_match: etag })).toEqual({
+      not_modified: true,
+      etag,
+      version,
+      last_modified,
+    });
+  });
+
+  it("should keep the etag and last_modified when completion dates are stamped", () => {
+    mockScriptProperties.properties.CACHE_TTL_SECONDS = "0";
+    mockScriptProperties.properties.CACHE_VERSION = String(
+      Date.parse("2024-07-01T00:00:00.000Z")
+    );
+    setMockSheetData([
+      testData.headers,
+      [1, "C", 50, "Done without a date", "", "", true, "", ""],
+    ]);
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-07-31T10:00:00.000Z"));
+    const first = get({ envelope: "1" });
+    vi.setSystemTime(new Date("2024-07-31T10:05:00.000Z"));
+
+    expect(first.data[0].completed_at).toBe("2024-07-31T10:00:00.000Z");
+    // The last sheet edit, not the stamped completion date.
+    expect(first.last_modified).toBe("2024-07-01T00:00:00.000Z");
+    expect(get({ if_none_match: first.etag }).not_modified).toBe(true);
+    expect(get({ if_modified_since: first.last_modified }).not_modified).toBe(true);
+
+    vi.useRealTimers();
+  });
+
+  it("should return the payload for a stale etag", () => {
+    expect(get({ if_none_match: "stale" })).toHaveLength(5);
+    expect(get({ envelope: "1", if_none_match: "stale" }).data).toHaveLength(5);
+  });
+
+  it("should wrap a not-modified body in JSONP when a callback is given", () => {
+    const { etag } = get({ envelope: "1" });
+    const result = doGet({ parameter: { if_none_match: etag, callback: "cb" } });
+
+    expect(result.content.startsWith('cb({"not_modified":true,')).toBe(true);
+  });
+
+  it.each([
+    ["2024-03-01T00:00:00.000Z", true],
+    ["2024-04-01T00:00:00.000Z", true],
+    ["2024-02-29T00:00:00.000Z", false],
+  ])("should compare if_modified_since %s with last_modified", (since, notModified) => {
+    const result = get({ if_modified_since: since });
+
+    expect(result.not_modified === true).toBe(notModified);
+  });
+
+  it("should prefer if_none_match over if_modified_since", () => {
+    const result = get({
+      if_none_match: "stale",
+      if_modified_since: "2099-01-01T00:00:00.000Z",
+    });
+
+    expect(result).toHaveLength(5);
+  });
+
+  it("should always return the payload when last_modified is unknown", () => {
+    setMockSheetData([testData.headers]);
+
+    expect(get({ if_modified_since: "2099-01-01T00:00:00.000Z" })).toEqual([]);
+  });
+
+  it("should return a 400 error for an invalid if_modified_since", () => {
+    const parsedError = get({ if_modified_since: "yesterday" });
+
+    expect(parsedError.error.code).toBe(400);
+    expect(parsedError.error.message).toBe("Invalid value for 'if_modified_since'.");
+  });
+
+  it("should not key the cache by conditional parameters", () => {
+    const { etag } = get({ envelope: "1" });
+    get({ if_none_match: etag });
+
+    expect(mockSheet.getRange).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("installTriggers", () => {
+  const createTrigger = (handler, sourceId) => ({
+    getHandlerFunction: () => handler,
+    getTriggerSourceId: () => sourceId,
+  });
+  const builder = {
+    forSpreadsheet: vi.fn(() => builder),
+    onEdit: vi.fn(() => builder),
+    onChange: vi.fn(() => builder),
+    create: vi.fn(),
+  };
+  const stale = createTrigger("onSheetChange", "test-spreadsheet-id");
+  const other = createTrigger("somethingElse", "test-spreadsheet-id");
+  const mockTriggerScriptApp = {
+    getProjectTriggers: vi.fn(() => [stale, other]),
+    deleteTrigger: vi.fn(),
+    newTrigger: vi.fn(() => builder),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubGlobal("ScriptApp", mockTriggerScriptApp);
+    mockSpreadsheet.getId = vi.fn(() => "test-spreadsheet-id");
+  });
+
+  it("should replace the edit and change triggers on the spreadsheet", () => {
+    installTriggers();
+
+    expect(mockTriggerScriptApp.deleteTrigger).toHaveBeenCalledTimes(1);
+    expect(mockTriggerScriptApp.deleteTrigger).toHaveBeenCalledWith(stale);
+    expect(mockTriggerScriptApp.newTrigger).toHaveBeenCalledWith("onSheetChange");
+    expect(builder.forSpreadsheet).toHaveBeenCalledWith(mockSpreadsheet);
+    expect(builder.onEdit).toHaveBeenCalledTimes(1);
+    expect(builder.onChange).toHaveBeenCalledTimes(1);
+    expect(builder.create).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("convertSheetDataToObjects", () => {
+  it("should correctly convert normal sheet data", () => {
+    const result = convertSheetDataToObjects(
+      testData.normalSheetData.map((row) => [...row])
+    );
+    expect(result).toHaveLength(2);
+    expect(result[0].id).toBe(1);
+    expect(result[1].category).toBe("スキル・学習");
+    // Check that a valid date string is converted to an ISO string.
+    expect(result[1].completed_at).toBe("2024-01-15T10:00:00.000Z");
+  });
+
+  it("should handle boundary values correctly", () => {
+    const result = convertSheetDataToObjects(
+      testData.boundarySheetData.map((row) => [...row])
+    );
+    expect(result).toHaveLength(2);
+    expect(result[0].title).toBe("A");
+    // Check that a valid date string is converted to an ISO string.
+    expect(result[0].completed_at).toBe("2023-01-01T00:00:00.000Z");
+    expect(result[1].title).toHaveLength(255);
+  });
+
+  it("should handle rows with fewer columns than headers", () => {
+    const result = convertSheetDataToObjects(
+      JSON.parse(JSON.stringify(testData.abnormalSheetDataShortRow))
+    );
+    expect(result).toHaveLength(1);
+    expect(result[0].id).toBe(5);
+    expect(result[0].title).toBe("毎朝のジョギングを習慣にする");
+    // Missing string-like keys should be normalized to an empty string.
+    expect(result[0].note).toBe("");
+    // `completed_at` is special and normalizes to null when missing.
+    expect(result[0].completed_at).toBeNull();
+  });
+
+  it("should handle and normalize varied and unexpected data types", () => {
+    const fakeNow = new Date("2020-01-01T00:00:00.000Z"); // A date when age is 40
+    vi.useFakeTimers();
+    vi.setSystemTime(fakeNow);
+
+    const result = convertSheetDataToObjects(
+      // Note: JSON.stringify converts `undefined` to `null`, so we deep-copy manually.
+      testData.dataTypeVarietyData.map((row) => [...row])
+    );
+    expect(result).toHaveLength(1);
+    const item = result[0];
+
+    // 'id' is "not-a-number", which should result in null.
+    expect(item.id).toBeNull();
+
+    // 'category' is null, should be normalized to an empty string.
+    expect(item.category).toBe("");
+
+    // 'target_age' is always overridden, should be 40 based on fakeNow.
+    expect(item.target_age).toBe(40);
+
+    // 'note' is undefined, should be normalized to an empty string.
+    expect(item.note).toBe("");
+
+    // 'image_url' is an invalid format, should be an empty string.
+    expect(item.image_url).toBe("");
+
+    // 'completed' is a string "false", should be converted to a boolean.
+    expect(item.completed).toBe(false);
+
+    // 'completed_at' is an invalid date string, should be normalized to null.
+    expect(item.completed_at).toBeNull();
+  });
+
+  it("should return an empty array for header-only data", () => {
+    const result = convertSheetDataToObjects(
+      JSON.parse(JSON.stringify(testData.headerOnlySheetData))
+    );
+    expect(result).toEqual([]);
+  });
+
+  it.each([
+    ["undefined", undefined],
+    ["null", null],
+    ["an empty array", []],
+    ["an array with one empty row", [[]]],
+  ])("should return an empty array when input is %s", (name, input) => {
+    const result = convertSheetDataToObjects(input);
+    expect(result).toEqual([]);
+  });
+
+  it("should pass through unhandled fields via the default case", () => {
+    const result = convertSheetDataToObjects(
+      JSON.parse(JSON.stringify(testData.normalSheetData))
+    );
+    expect(result[0].extra_field).toBe("extra1");
+    expect(result[1].extra_field).toBe("extra2");
+  });
+
+  it("should set completed_at to the current date if completed is true but date is missing", () => {
+    // Fake the system time to get a predictable ISO string
+    const fakeNow = new Date("2024-07-31T10:00:00.000Z");
+    vi.useFakeTimers();
+    vi.setSystemTime(fakeNow);
+
+    const result = convertSheetDataToObjects(
+      testData.completedWithNoDate.map((row) => [...row])
+    );
+
+    expect(result).toHaveLength(1);
+    expect(result[0].completed).toBe(true);
+    // Should be the ISO string representation of the fake Date
+    expect(result[0].completed_at).toBe(fakeNow.toISOString());
+
+    // Clean up the fake timers
+    vi.useRealTimers();
+  });
+
+  it("should normalize a future date to null", () => {
+    const fakeNow = new Date("2024-07-31T10:00:00.000Z");
+    vi.useFakeTimers();
+    vi.setSystemTime(fakeNow);
+
+    const result = convertSheetDataToObjects(
+      testData.futureDateData.map((row) => [...row])
+    );
+
+    expect(result).toHaveLength(1);
+    expect(result[0].completed_at).toBeNull();
+
+    vi.useRealTimers();
+  });
+
+  it("should trim whitespace from string fields", () => {
+    const result = convertSheetDataToObjects(
+      testData.untrimmedStringsData.map((row) => [...row])
+    );
+    expect(result).toHaveLength(1);
+    const item = result[0];
+    expect(item.category).toBe("カテゴリA");
+    expect(item.title).toBe("空白のあるタイトル");
+    expect(item.note).toBe("ノートのテキスト。");
+    expect(item.image_url).toBe("https://example.com/image.jpg");
+  });
+
+  it("should set completed_at to null if completed is false", () => {
+    const result = convertSheetDataToObjects(
+      testData.completedFalseWithDateData.map((row) => [...row])
+    );
+    expect(result).toHaveLength(1);
+    expect(result[0].completed).toBe(false);
+    expect(result[0].completed_at).toBeNull();
+  });
+
+  it("should conditionally normalize target_age based on calculated age", () => {
+    // Set a date where the person born in 1979-09-02 is 45 years old.
+    // The normalized age (floor(45 / 10) * 10) will be 40.
+    const fakeNow = new Date("2024-09-02T10:00:00.000Z");
+    vi.useFakeTimers();
+    vi.setSystemTime(fakeNow);
+
+    const result = convertSheetDataToObjects(
+      testData.targetAgeNormalizationData.map((row) => [...row])
+    );
+
+    expect(result).toHaveLength(8);
+    // Case 1: 20 < 40, should be overwritten.
+    expect(result[0].target_age).toBe(40);
+    // Case 2: 40 === 40, should NOT be overwritten.
+    expect(result[1].target_age).toBe(40);
+    // Case 3: 50 > 40, should NOT be overwritten.
+    expect(result[2].target_age).toBe(50);
+    // Case 4: 130 > 100 (invalid), should be overwritten.
+    expect(result[3].target_age).toBe(40);
+    // Case 5: null, should be overwritten.
+    expect(result[4].target_age).toBe(40);
+    // Case 6: "" (empty string), should be overwritten.
+    expect(result[5].target_age).toBe(40);
+    // Case 7: 49 is a valid age > 40, should be rounded down to 40.
+    expect(result[6].target_age).toBe(40);
+    // Case 8: 51 is a valid age > 40, should be rounded down to 50.
+    expect(result[7].target_age).toBe(50);
+
+    vi.useRealTimers();
+  });
+
+  it("should handle varied header casing and spacing", () => {
+    const dataWithVariedHeaders = [
+      [
+        " ID ",
+        "Category",
+        "TARGET_AGE",
         "  TITLE",
         "note  ",
         "IMAGE_URL",
@@ -348,67 +1877,1774 @@ describe("convertSheetDataToObjects", () => {
         "completed_at",
       ],
       [
-        1,
-        "Test",
-        40,
-        "Header Test",
-        "Note",
-        "http://example.com",
-        true,
-        "2024-01-01T00:00:00.000Z",
+        1,
+        "Test",
+        40,
+        "Header Test",
+        "Note",
+        "http://example.com",
+        true,
+        "2024-01-01T00:00:00.000Z",
+      ],
+    ];
+    const result = convertSheetDataToObjects(dataWithVariedHeaders);
+    expect(result).toHaveLength(1);
+    expect(result[0].id).toBe(1);
+    expect(result[0].category).toBe("Test");
+    expect(result[0].target_age).toBe(40);
+    expect(result[0].title).toBe("Header Test");
+    expect(result[0].image_url).toBe("http://example.com");
+    expect(result[0].completed).toBe(true);
+    expect(result[0].completed_at).toBe("2024-01-01T00:00:00.000Z");
+  });
+
+  it("should correctly parse various truthy values for 'completed'", () => {
+    const data = [
+      testData.headers,
+      [1, "C", 30, "T1", "N", "", true, ""],
+      [2, "C", 30, "T2", "N", "", "true", ""],
+      [3, "C", 30, "T3", "N", "", "TRUE", ""],
+      [4, "C", 30, "T4", "N", "", 1, ""],
+      [5, "C", 30, "T5", "N", "", "1", ""],
+      [6, "C", 30, "T6", "N", "", "yes", ""],
+    ];
+    const result = convertSheetDataToObjects(data);
+    expect(result.every((item) => item.completed === true)).toBe(true);
+  });
+
+  it("should correctly handle Date objects for 'completed_at'", () => {
+    const date = new Date("2024-01-20T12:00:00.000Z");
+    const data = [
+      testData.headers,
+      [1, "C", 30, "T1", "N", "", true, date],
+    ];
+    const result = convertSheetDataToObjects(data);
+    expect(result[0].completed_at).toBe(date.toISOString());
+  });
+
+  it("should override a future Date object with the current time", () => {
+    const fakeNow = new Date("2024-08-01T12:00:00.000Z");
+    vi.useFakeTimers();
+    vi.setSystemTime(fakeNow);
+
+    const futureDate = new Date("2099-01-01T00:00:00.000Z");
+    const data = [
+      testData.headers,
+      [1, "C", 30, "T1", "N", "", true, futureDate], // `completed` is true
+    ];
+    const result = convertSheetDataToObjects(data);
+
+    // If completed is true, a future date is invalid, so it should be replaced by now.
+    expect(result[0].completed_at).toBe(fakeNow.toISOString());
+
+    vi.useRealTimers();
+  });
+});
+
+describe("convertSheetDataToObjects options", () => {
+  it("should normalize target_age relative to options.birthDate", () => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-09-02T10:00:00.000Z"));
+
+    const result = convertSheetDataToObjects(
+      testData.targetAgeNormalizationData.map((row) => [...row]),
+      { birthDate: new Date("1994-01-01T00:00:00Z") } // 30 years old
+    );
+
+    // 20 < 30, so it is rolled forward to 30 instead of the owner's 40.
+    expect(result[0].target_age).toBe(30);
+    expect(mockPropertiesService.getScriptProperties).not.toHaveBeenCalled();
+
+    vi.useRealTimers();
+  });
+});
+
+describe("as of a date", () => {
+  const options = {
+    birthDate: new Date("1979-09-02T00:00:00+09:00"),
+    timeZone: "Asia/Tokyo",
+  };
+  const query = (parameter = {}) => JSON.parse(doGet({ parameter }).content);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData([
+      testData.headers,
+      [1, "C", "", "Open", "", "", false, "", ""],
+      [2, "C", 40, "Done", "", "", true, "2029-09-01T20:00:00.000Z", ""],
+    ]);
+  });
+
+  it("should evaluate convertSheetDataToObjects at options.now", () => {
+    const convert = (now) =>
+      convertSheetDataToObjects(mockSheet.data.map((row) => [...row]), { ...options, now });
+
+    // The owner turns 50 on Sep 2, 2029 in Tokyo.
+    const before = convert(new Date("2029-09-01T14:59:59.999Z"));
+    const after = convert(new Date("2029-09-01T15:00:00.000Z"));
+
+    expect(before[0].target_age).toBe(40);
+    expect(after[0].target_age).toBe(50);
+    // Completions after `now` are clamped to it.
+    expect(before[1].completed_at).toBe("2029-09-01T14:59:59.999Z");
+    expect(before[1].completed_on).toBe("2029-09-01");
+  });
+
+  it("should evaluate the list at the end of the as_of day", () => {
+    const items = query({ as_of: "2029-09-01" });
+
+    expect(items[0].target_age).toBe(40);
+    expect(items[1].completed_at).toBe("2029-09-01T14:59:59.999Z");
+    // Past target ages roll forward to the new decade.
+    expect(query({ as_of: "2029-09-02" }).map((item) => item.target_age)).toEqual([50, 50]);
+  });
+
+  it("should read as_of on the calendar of tz", () => {
+    // Sep 1 ends after 20:00 UTC in New York; the birthday is still Sep 2.
+    const items = query({ as_of: "2029-09-01", tz: "America/New_York" });
+
+    expect(items[0].target_age).toBe(40);
+    expect(items[1].completed_at).toBe("2029-09-01T20:00:00.000Z");
+  });
+
+  it("should reject an as_of before the birth date", () => {
+    expect(query({ as_of: "1975-01-01" }).error).toEqual({
+      code: 400,
+      message: "Parameter 'as_of' is before the birth date.",
+    });
+    // The birthday itself is the first day with an age.
+    expect(query({ as_of: "1979-09-02" })[0].target_age).toBe(0);
+  });
+
+  it.each(["2029-9-1", "2029-02-29", "yesterday"])(
+    "should reject the as_of value %s",
+    (asOf) => {
+      expect(query({ as_of: asOf }).error).toEqual({
+        code: 400,
+        message: "Invalid value for 'as_of'.",
+      });
+    }
+  );
+});
+
+describe("deadlines", () => {
+  const query = (parameter = {}) => JSON.parse(doGet({ parameter }).content);
+  const ids = (result) => result.map((item) => item.id);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    // Jun 1, 2029 in Tokyo: the owner is 49, three months before turning 50.
+    vi.setSystemTime(new Date("2029-06-01T00:00:00.000Z"));
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData([
+      testData.headers,
+      [1, "Travel", 30, "Missed", "", "", false, "", ""],
+      [2, "Travel", 40, "Soon", "", "", false, "", ""],
+      [3, "Skill", 60, "Later", "", "", false, "", ""],
+      [4, "Skill", 40, "Done", "", "", true, "2029-01-01T00:00:00.000Z", ""],
+      [5, "Skill", "", "Unset", "", "", false, "", ""],
+    ]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should give each item its deadline, days remaining and status", () => {
+    const items = query();
+
+    expect(
+      items.map(({ target_age, deadline_date, days_remaining, status }) => [
+        target_age,
+        deadline_date,
+        days_remaining,
+        status,
+      ])
+    ).toEqual([
+      // The 30s are over: rolled forward to 40, but overdue since 2019.
+      [40, "2019-09-02", -3560, "overdue"],
+      [40, "2029-09-02", 93, "due_soon"],
+      [60, "2049-09-02", 7398, "on_track"],
+      [40, "2029-09-02", 93, "done"],
+      [40, "2029-09-02", 93, "due_soon"],
+    ]);
+  });
+
+  it("should make an item overdue on the birthday that ends its decade", () => {
+    const [, item] = query({ as_of: "2029-09-02" });
+
+    expect(item).toMatchObject({ days_remaining: 0, status: "overdue" });
+  });
+
+  it("should read the due-soon window from DUE_SOON_DAYS", () => {
+    mockScriptProperties.properties.DUE_SOON_DAYS = "30";
+
+    expect(query()[1].status).toBe("on_track");
+  });
+
+  it("should reject an invalid DUE_SOON_DAYS", () => {
+    mockScriptProperties.properties.DUE_SOON_DAYS = "soon";
+
+    expect(query().error).toEqual({ code: 500, message: "Invalid setting 'DUE_SOON_DAYS'." });
+  });
+
+  it("should mark items completed by their steps as done", () => {
+    mockScriptProperties.properties.AUTO_COMPLETE_STEPS = "true";
+    const steps = createMockValuesSheet([
+      ["item_id", "title", "completed", "completed_at"],
+      [1, "Book", true, "2019-01-01T00:00:00.000Z"],
+    ]);
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      ({ list: mockSheet, steps })[name] ?? null
+    );
+
+    expect(query()[0].status).toBe("done");
+  });
+
+  it("should leave out deadlines when the sheet has no target_age column", () => {
+    const [item] = convertSheetDataToObjects([["id"], [1]], {
+      birthDate: new Date("1979-09-02T00:00:00+09:00"),
+    });
+
+    expect(item).not.toHaveProperty("deadline_date");
+  });
+
+  it("should list overdue items with view=overdue", () => {
+    expect(ids(query({ view: "overdue" }))).toEqual([1]);
+    expect(ids(query({ view: "overdue", category: "Skill" }))).toEqual([]);
+  });
+
+  it("should list open items due within DUE_SOON_DAYS with view=upcoming", () => {
+    expect(ids(query({ view: "upcoming" }))).toEqual([2, 5]);
+  });
+
+  it("should take the upcoming window from within", () => {
+    expect(ids(query({ view: "upcoming", within: "7398" }))).toEqual([2, 5, 3]);
+    expect(ids(query({ view: "upcoming", within: "30" }))).toEqual([]);
+    expect(query({ view: "upcoming", within: "-1" }).error.code).toBe(400);
+  });
+
+  it("should sort and paginate the deadline views", () => {
+    const page = query({
+      view: "upcoming",
+      within: "7398",
+      sort: "days_remaining",
+      order: "desc",
+      limit: "1",
+    });
+
+    expect(ids(page.items)).toEqual([3]);
+    expect(page.total).toBe(3);
+  });
+});
+
+describe("target age normalization", () => {
+  const query = (parameter = {}) => JSON.parse(doGet({ parameter }).content);
+  const field = (items, name) => items.map((item) => item[name]);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    // The owner is 46, so past targets roll forward to 40.
+    vi.setSystemTime(new Date("2025-10-01T00:00:00.000Z"));
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData([
+      testData.headers,
+      [1, "C", 42, "Early 40s", "", "", false, "", ""],
+      [2, "C", 48, "Late 40s", "", "", false, "", ""],
+      [3, "C", 35, "Missed", "", "", false, "", ""],
+      [4, "C", "", "Blank", "", "", false, "", ""],
+      [5, "C", 105, "Too late", "", "", false, "", ""],
+    ]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should keep the target age as written next to the normalized one", () => {
+    const items = query();
+
+    expect(field(items, "target_age")).toEqual([40, 40, 40, 40, 40]);
+    expect(field(items, "target_age_raw")).toEqual([42, 48, 35, null, null]);
+    expect(field(items, "target_age_decade")).toEqual([40, 40, 30, null, null]);
+    expect(field(items, "target_age_rolled_forward")).toEqual([
+      false,
+      false,
+      true,
+      false,
+      false,
+    ]);
+  });
+
+  it("should keep exact ages with normalization=exact", () => {
+    expect(field(query({ normalization: "exact" }), "target_age")).toEqual([
+      42, 48, 40, 40, 40,
+    ]);
+  });
+
+  it("should return ages as written with normalization=none", () => {
+    const items = query({ normalization: "none" });
+
+    expect(field(items, "target_age")).toEqual([42, 48, 35, null, null]);
+    // Deadlines still fall back to the current decade.
+    expect(field(items, "deadline_date")).toEqual([
+      "2029-09-02",
+      "2029-09-02",
+      "2019-09-02",
+      "2029-09-02",
+      "2029-09-02",
+    ]);
+  });
+
+  it("should accept the mode as a convertSheetDataToObjects option", () => {
+    const [item] = convertSheetDataToObjects([["target_age"], ["42"]], {
+      birthDate: new Date("1979-09-02T00:00:00+09:00"),
+      timeZone: "Asia/Tokyo",
+      targetAgeMode: "exact",
+    });
+
+    expect(item.target_age).toBe(42);
+  });
+
+  it("should reject an unknown normalization", () => {
+    expect(query({ normalization: "round" }).error).toEqual({
+      code: 400,
+      message: "Invalid value for 'normalization'.",
+    });
+  });
+
+  it("should filter and group exact ages by decade", () => {
+    const params = { normalization: "exact", target_age: "40" };
+
+    expect(field(query(params), "id")).toEqual([1, 2, 3, 4, 5]);
+    expect(field(query({ normalization: "none", target_age: "45" }), "id")).toEqual([1, 2]);
+    expect(query({ ...params, view: "stats" }).by_decade).toEqual([
+      { target_age: 40, total: 5, completed: 0, completion_rate: 0 },
+    ]);
+  });
+
+  it("should leave open items without a target out of the calendar", () => {
+    const text = doGet({ parameter: { format: "ics", normalization: "none" } }).content;
+
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    expect(text).toContain("DTSTART;VALUE=DATE:20190902");
+  });
+});
+
+describe("validateSheetData", () => {
+  const birthDate = new Date("1979-09-02T00:00:00+09:00");
+  // Finds the diagnostic for one sheet row and field.
+  const find = (report, row, field) =>
+    report.diagnostics.find((d) => d.row === row && d.field === field);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-09-02T10:00:00.000Z")); // 45 years old
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should report clean data as valid", () => {
+    const report = validateSheetData(testData.querySheetData, { birthDate });
+
+    expect(report).toEqual({
+      valid: true,
+      missing_headers: [],
+      reserved_headers: [],
+      duplicate_ids: [],
+      diagnostics: [],
+    });
+  });
+
+  it("should explain each coerced field with its original and coerced value", () => {
+    const report = validateSheetData(
+      testData.dataTypeVarietyData.map((row) => [...row]),
+      { birthDate }
+    );
+
+    expect(report.valid).toBe(false);
+    expect(find(report, 2, "id")).toEqual({
+      row: 2,
+      id: null,
+      field: "id",
+      value: "not-a-number",
+      coerced: null,
+      reason: "invalid_id",
+    });
+    expect(find(report, 2, "target_age").reason).toBe("invalid_target_age");
+    expect(find(report, 2, "image_url")).toMatchObject({
+      value: "not-a-base64-string",
+      coerced: "",
+      reason: "invalid_image_url",
+    });
+    expect(find(report, 2, "completed_at").reason).toBe("invalid_date");
+    // "false" is a recognized boolean, and empty strings are not errors.
+    expect(find(report, 2, "completed")).toBeUndefined();
+    expect(find(report, 2, "category")).toBeUndefined();
+  });
+
+  it.each([
+    [20, "target_age_rolled_forward", 40],
+    [49, "target_age_rounded", 40],
+    [130, "target_age_out_of_range", 40],
+    [-1, "target_age_out_of_range", 40],
+    ["", "missing_target_age", 40],
+  ])("should report a target_age of %s as %s", (age, reason, coerced) => {
+    const report = validateSheetData(
+      [testData.headers, [1, "C", age, "T", "", "", false, "", ""]],
+      { birthDate }
+    );
+
+    expect(find(report, 2, "target_age")).toMatchObject({ value: age, coerced, reason });
+  });
+
+  it.each([
+    ["a missing date", true, "", "missing_completed_at"],
+    ["a future date", true, "2099-01-01T00:00:00.000Z", "future_completed_at"],
+    ["a date on an open item", false, "2024-01-01T00:00:00.000Z", "completed_at_discarded"],
+  ])("should report %s", (name, completed, completedAt, reason) => {
+    const report = validateSheetData(
+      [testData.headers, [1, "C", 50, "T", "", "", completed, completedAt, ""]],
+      { birthDate }
+    );
+
+    expect(find(report, 2, "completed_at").reason).toBe(reason);
+  });
+
+  it.each([
+    ["", "missing_id"],
+    ["7x", "id_truncated"],
+  ])("should report an id of '%s' as %s", (id, reason) => {
+    const report = validateSheetData(
+      [testData.headers, [id, "C", 50, "T", "", "", false, "", ""]],
+      { birthDate }
+    );
+
+    expect(find(report, 2, "id").reason).toBe(reason);
+  });
+
+  it("should report unrecognized booleans", () => {
+    const report = validateSheetData(
+      [testData.headers, [1, "C", 50, "T", "", "", "done", "", ""]],
+      { birthDate }
+    );
+
+    expect(find(report, 2, "completed")).toMatchObject({
+      value: "done",
+      coerced: false,
+      reason: "unrecognized_boolean",
+    });
+  });
+
+  it("should report duplicate ids with their sheet rows", () => {
+    const report = validateSheetData(
+      [
+        testData.headers,
+        [1, "C", 50, "A", "", "", false, "", ""],
+        [2, "C", 50, "B", "", "", false, "", ""],
+        ["1", "C", 50, "C", "", "", false, "", ""],
+      ],
+      { birthDate }
+    );
+
+    expect(report.duplicate_ids).toEqual([{ id: 1, rows: [2, 4] }]);
+    expect(report.valid).toBe(false);
+  });
+
+  it("should report missing required headers", () => {
+    const report = validateSheetData([["id", "Title", "extra"], [1, "T", "x"]], {
+      birthDate,
+    });
+
+    expect(report.missing_headers).toEqual([
+      "target_age",
+      "completed",
+      "image_url",
+      "category",
+      "note",
+      "completed_at",
+    ]);
+  });
+
+  it("should report columns named after computed fields and check the rest", () => {
+    const report = validateSheetData(
+      [
+        [...testData.headers, "Status", "deadline date"],
+        [1, "C", 80, "T", "", "", "done", "", "", "todo", "2030-01-01"],
+      ],
+      { birthDate }
+    );
+
+    expect(report.valid).toBe(false);
+    expect(report.reserved_headers).toEqual(["status", "deadline_date"]);
+    expect(find(report, 2, "completed").reason).toBe("unrecognized_boolean");
+    expect(find(report, 2, "status")).toBeUndefined();
+  });
+
+  it("should report an empty sheet as missing every header", () => {
+    expect(validateSheetData([], { birthDate }).missing_headers).toHaveLength(8);
+  });
+});
+
+describe("doGet validate view", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(testData.targetAgeNormalizationData);
+  });
+
+  it("should return the validation report to an admin", () => {
+    const report = JSON.parse(
+      doGet({ parameter: { view: "validate", token: tokens.admin } }).content
+    );
+
+    expect(report.valid).toBe(false);
+    expect(report.diagnostics.map((d) => d.row)).toContain(2);
+  });
+
+  it.each([
+    ["anonymous callers", {}, 401],
+    ["read-only tokens", { token: tokens.read }, 403],
+  ])("should refuse %s", (name, parameter, code) => {
+    const parsedError = JSON.parse(
+      doGet({ parameter: { view: "validate", ...parameter } }).content
+    );
+
+    expect(parsedError.error.code).toBe(code);
+  });
+});
+
+describe("strict schema", () => {
+  const birthDate = new Date("1979-09-02T00:00:00+09:00");
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    mockScriptProperties.properties = {
+      ...defaultProperties,
+      STRICT_SCHEMA: "true",
+    };
+  });
+
+  it("should map Japanese headers to canonical field names", () => {
+    const data = [
+      ["ID", "カテゴリ", "目標年齢", "タイトル", "メモ", "画像", "完了", "完了日"],
+      [1, "旅行", 50, "沖縄", "一ヶ月", "", false, ""],
+    ];
+
+    const [item] = convertSheetDataToObjects(data, { birthDate });
+
+    expect(item).toMatchObject({ id: 1, category: "旅行", title: "沖縄", note: "一ヶ月" });
+    expect(item).not.toHaveProperty("タイトル");
+  });
+
+  it("should keep unknown columns outside strict mode", () => {
+    const [item] = convertSheetDataToObjects(testData.normalSheetData, { birthDate });
+
+    expect(item).toHaveProperty("extra_field");
+  });
+
+  it("should drop unknown columns in strict mode unless whitelisted", () => {
+    const [dropped] = convertSheetDataToObjects(testData.normalSheetData, {
+      birthDate,
+      strictSchema: true,
+    });
+    const [kept] = convertSheetDataToObjects(testData.normalSheetData, {
+      birthDate,
+      strictSchema: true,
+      extraHeaders: ["extra_field"],
+    });
+
+    expect(dropped).not.toHaveProperty("extra_field");
+    expect(dropped.title).toBe("沖縄に長期滞在したい");
+    expect(kept).toHaveProperty("extra_field");
+  });
+
+  it("should list missing and duplicate headers in a SchemaError", () => {
+    const data = [
+      ["id", "target_age", "completed", "image_url", "category", "note", "completed_at", "タイトル", "Title"],
+    ];
+    const dataWithoutTitle = [["id", "target_age", "completed", "image_url", "category", "note", "completed_at"]];
+
+    expect(() =>
+      convertSheetDataToObjects(dataWithoutTitle, { birthDate, strictSchema: true })
+    ).toThrow("Sheet does not match the schema: missing header 'title'.");
+    expect(() =>
+      convertSheetDataToObjects(data, { birthDate, strictSchema: true })
+    ).toThrow("Sheet does not match the schema: duplicate header 'title'.");
+  });
+
+  it("should answer 422 from doGet when the sheet lacks a required header", () => {
+    setMockSheetData(testData.normalSheetData.map((row) => row.slice(0, 3)));
+
+    const parsedError = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(parsedError.error.code).toBe(422);
+    expect(parsedError.error.message).toBe(
+      "Sheet does not match the schema: missing header 'completed'; " +
+        "missing header 'image_url'; missing header 'title'; " +
+        "missing header 'note'; missing header 'completed_at'."
+    );
+  });
+
+  it("should answer 422 for a column named after a computed field", () => {
+    setMockSheetData([
+      [...testData.headers, "status", "progress"],
+      [1, "C", 80, "T", "", "", false, "", "", "todo", 50],
+    ]);
+
+    const parsedError = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(parsedError.error).toEqual({
+      code: 422,
+      message:
+        "Sheet does not match the schema: reserved header 'status'; reserved header 'progress'.",
+    });
+  });
+
+  it("should rename a column named after a computed field outside strict mode", () => {
+    mockScriptProperties.properties = defaultProperties;
+    setMockSheetData([
+      [...testData.headers, "status", "progress"],
+      [1, "C", 80, "T", "", "", false, "", "", "todo", 50],
+    ]);
+
+    const [item] = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(item).toMatchObject({
+      status: "on_track",
+      sheet_status: "todo",
+      sheet_progress: 50,
+    });
+    expect(item).not.toHaveProperty("progress");
+  });
+
+  it("should keep columns listed in EXTRA_HEADERS", () => {
+    mockScriptProperties.properties.EXTRA_HEADERS = "Extra_Field";
+    setMockSheetData(testData.normalSheetData);
+
+    const [item] = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(item).toHaveProperty("extra_field");
+  });
+
+  it("should refuse writes to a sheet that does not match the schema", () => {
+    setMockSheetData(testData.normalSheetData.map((row) => row.slice(0, 3)));
+
+    const result = doPost({
+      parameter: { token: tokens.write },
+      postData: { contents: JSON.stringify({ action: "create", item: { category: "C" } }) },
+    });
+
+    expect(JSON.parse(result.content).error.code).toBe(422);
+    expect(mockSheet.appendRow).not.toHaveBeenCalled();
+  });
+
+  it("should reject writes to dropped columns in strict mode", () => {
+    setMockSheetData(testData.normalSheetData);
+
+    const result = doPost({
+      parameter: { token: tokens.write },
+      postData: {
+        contents: JSON.stringify({ action: "update", id: 1, item: { extra_field: "x" } }),
+      },
+    });
+
+    expect(JSON.parse(result.content).error).toEqual({
+      code: 400,
+      message: "Unknown field 'extra_field'.",
+    });
+  });
+});
+
+describe("header aliases", () => {
+  const birthDate = new Date("1979-09-02T00:00:00+09:00");
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData([
+      ["ID", "やりたいこと", "Target Age", "Completed", "Completed-At", "Private Note"],
+      [1, "沖縄", 50, true, "2024-01-01T00:00:00.000Z", "秘密"],
+    ]);
+  });
+
+  it("should fold spaces and hyphens in headers into underscores", () => {
+    const [item] = convertSheetDataToObjects(
+      [
+        ["completed", "Completed At", "image URL"],
+        [true, "2024-01-01T00:00:00.000Z", "https://example.com/a.png"],
+      ],
+      { birthDate }
+    );
+
+    expect(item).toEqual({
+      completed: true,
+      completed_at: "2024-01-01T00:00:00.000Z",
+      completed_on: "2024-01-01",
+      image_url: "https://example.com/a.png",
+    });
+  });
+
+  it("should not treat Object.prototype keys as aliases or parsers", () => {
+    const [item] = convertSheetDataToObjects([["constructor"], ["x"]], { birthDate });
+
+    expect(item.constructor).toBe("x");
+  });
+
+  it("should apply aliases configured in HEADER_ALIASES", () => {
+    mockScriptProperties.properties = {
+      ...defaultProperties,
+      HEADER_ALIASES: JSON.stringify({ やりたいこと: "title", "Private Note": "Note" }),
+    };
+
+    const [item] = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(item).toEqual({
+      id: 1,
+      title: "沖縄",
+      target_age: 50,
+      completed: true,
+      completed_at: "2024-01-01T00:00:00.000Z",
+      completed_on: "2024-01-01",
+      target_age_raw: 50,
+      target_age_decade: 50,
+      target_age_rolled_forward: false,
+      deadline_date: "2039-09-02",
+      days_remaining: expect.any(Number),
+      status: "done",
+      note: "秘密",
+    });
+  });
+
+  it("should accept aliased field names in writes", () => {
+    mockScriptProperties.properties = {
+      ...defaultProperties,
+      HEADER_ALIASES: JSON.stringify({ やりたいこと: "title" }),
+    };
+
+    const result = doPost({
+      parameter: { token: tokens.write },
+      postData: {
+        contents: JSON.stringify({ action: "update", id: 1, item: { やりたいこと: "北海道" } }),
+      },
+    });
+
+    expect(JSON.parse(result.content).title).toBe("北海道");
+    expect(mockSheet.data[1][1]).toBe("北海道");
+  });
+
+  it.each([["not json"], ["[]"], [JSON.stringify({ タイトル: "" })]])(
+    "should reject a HEADER_ALIASES of %s",
+    (setting) => {
+      mockScriptProperties.properties = {
+        ...defaultProperties,
+        HEADER_ALIASES: setting,
+      };
+
+      const parsedError = JSON.parse(doGet({ parameter: {} }).content);
+
+      expect(parsedError.error).toEqual({
+        code: 500,
+        message: "Invalid setting 'HEADER_ALIASES'.",
+      });
+    }
+  );
+});
+
+describe("custom fields", () => {
+  const birthDate = new Date("1979-09-02T00:00:00+09:00");
+  const customFields = {
+    priority: { type: "integer", min: 1, max: 5 },
+    cost: { type: "number" },
+    size: { type: "enum", values: ["S", "M", "L"] },
+    flexible: { type: "boolean" },
+    booked_at: { type: "date" },
+    link: { type: "url" },
+    companions: { type: "list" },
+    location: { type: "string" },
+  };
+  const customSheetData = [
+    [...testData.headers, ...Object.keys(customFields)],
+    [...testData.normalSheetData[1], "3", "1,200.5", "m", "yes", "2024-05-01T00:00:00.000Z", "https://example.com", "妻, 息子,", " 那覇 "],
+    [...testData.normalSheetData[2], 9, "free", "XL", "maybe", "someday", "ftp://example.com", "", ""],
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    mockScriptProperties.properties = {
+      ...defaultProperties,
+      CUSTOM_FIELDS: JSON.stringify({ ...customFields, location: "string" }),
+    };
+    setMockSheetData(customSheetData);
+  });
+
+  it("should parse each declared type", () => {
+    const [item] = convertSheetDataToObjects(customSheetData, { birthDate, customFields });
+
+    expect(item).toMatchObject({
+      priority: 3,
+      cost: 1200.5,
+      size: "M",
+      flexible: true,
+      booked_at: "2024-05-01T00:00:00.000Z",
+      link: "https://example.com",
+      companions: ["妻", "息子"],
+      location: "那覇",
+    });
+  });
+
+  it("should turn invalid or blank cells into null or an empty list", () => {
+    const [, item] = convertSheetDataToObjects(customSheetData, { birthDate, customFields });
+
+    expect(item).toMatchObject({
+      priority: null,
+      cost: null,
+      size: null,
+      flexible: null,
+      booked_at: null,
+      link: null,
+      companions: [],
+      location: "",
+    });
+  });
+
+  it("should read definitions from CUSTOM_FIELDS in doGet", () => {
+    const [item] = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(item.priority).toBe(3);
+    expect(item.companions).toEqual(["妻", "息子"]);
+  });
+
+  it("should keep custom fields in strict mode", () => {
+    mockScriptProperties.properties.STRICT_SCHEMA = "true";
+
+    const [item] = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(item.priority).toBe(3);
+    expect(item).not.toHaveProperty("extra_field");
+  });
+
+  it("should describe the custom fields in the schema view", () => {
+    const schema = JSON.parse(doGet({ parameter: { view: "schema" } }).content);
+
+    expect(schema.type).toBe("object");
+    expect(schema.properties.priority).toEqual({
+      type: "integer",
+      minimum: 1,
+      maximum: 5,
+      nullable: true,
+    });
+    expect(schema.properties.size.enum).toEqual(["S", "M", "L"]);
+    expect(schema.properties.companions).toEqual({
+      type: "array",
+      items: { type: "string" },
+    });
+    expect(schema.properties.location).toEqual({ type: "string" });
+  });
+
+  it("should report invalid custom values in the validation report", () => {
+    const report = validateSheetData(customSheetData, { birthDate, customFields });
+    const reasons = report.diagnostics
+      .filter((d) => d.row === 3 && d.reason === "invalid_value")
+      .map((d) => d.field);
+
+    expect(reasons).toEqual(["priority", "cost", "size", "flexible", "booked_at", "link"]);
+  });
+
+  it("should validate and store custom fields on write", () => {
+    const result = doPost({
+      parameter: { token: tokens.write },
+      postData: {
+        contents: JSON.stringify({
+          action: "update",
+          id: 1,
+          item: { priority: "5", companions: ["妻", "娘"], link: "" },
+        }),
+      },
+    });
+    const item = JSON.parse(result.content);
+
+    expect(item.priority).toBe(5);
+    expect(item.companions).toEqual(["妻", "娘"]);
+    expect(item.link).toBeNull();
+    expect(mockSheet.data[1][9]).toBe(5);
+    expect(mockSheet.data[1][15]).toBe("妻, 娘");
+  });
+
+  it("should reject custom values its parser would drop", () => {
+    const result = doPost({
+      parameter: { token: tokens.write },
+      postData: {
+        contents: JSON.stringify({ action: "update", id: 1, item: { size: "XL" } }),
+      },
+    });
+
+    expect(JSON.parse(result.content).error).toEqual({
+      code: 400,
+      message: "Invalid value for 'size'.",
+    });
+  });
+
+  it.each([
+    ["not json"],
+    [JSON.stringify({ cost: "money" })],
+    [JSON.stringify({ title: "string" })],
+    [JSON.stringify({ "Deadline Date": "date" })],
+    [JSON.stringify({ size: { type: "enum", values: [] } })],
+    [JSON.stringify({ priority: { type: "integer", min: "1" } })],
+  ])("should reject a CUSTOM_FIELDS of %s", (setting) => {
+    mockScriptProperties.properties.CUSTOM_FIELDS = setting;
+
+    const parsedError = JSON.parse(doGet({ parameter: {} }).content);
+
+    expect(parsedError.error).toEqual({
+      code: 500,
+      message: "Invalid setting 'CUSTOM_FIELDS'.",
+    });
+  });
+});
+
+describe("tags", () => {
+  const query = (parameter) => JSON.parse(doGet({ parameter }).content);
+  const ids = (items) => items.map((item) => item.id);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(testData.tagSheetData);
+  });
+
+  it("should split tags on every separator and drop repeats", () => {
+    const items = query({});
+
+    expect(items.map((item) => item.tags)).toEqual([
+      ["旅行", "冬", "Family"],
+      ["旅行", "食", "family"],
+      ["料理 教室"],
+      [],
+    ]);
+    expect(items[0].category).toBe("場所・旅行");
+  });
+
+  it("should leave items without a tags column untouched", () => {
+    setMockSheetData(testData.querySheetData);
+
+    expect(query({})[0]).not.toHaveProperty("tags");
+  });
+
+  it("should filter by tags case-insensitively, requiring all of them", () => {
+    expect(ids(query({ tag: "FAMILY" }))).toEqual([51, 52]);
+    expect(ids(query({ tag: "family、食" }))).toEqual([52]);
+    expect(ids(query({ tag: "存在しない" }))).toEqual([]);
+  });
+
+  it("should filter by any of several categories", () => {
+    expect(ids(query({ category: "食, 健康・運動" }))).toEqual([52, 53, 54]);
+  });
+
+  it("should count tags in the tags view, most used first", () => {
+    expect(query({ view: "tags" })).toEqual([
+      { tag: "Family", total: 2, completed: 1, completion_rate: 50 },
+      { tag: "旅行", total: 2, completed: 1, completion_rate: 50 },
+      { tag: "冬", total: 1, completed: 1, completion_rate: 100 },
+      { tag: "料理 教室", total: 1, completed: 0, completion_rate: 0 },
+      { tag: "食", total: 1, completed: 0, completion_rate: 0 },
+    ]);
+  });
+
+  it("should apply filters to the tags view", () => {
+    expect(query({ view: "tags", completed: "true" }).map((t) => t.tag)).toEqual([
+      "Family",
+      "冬",
+      "旅行",
+    ]);
+  });
+
+  it("should publish tags as feed and calendar categories", () => {
+    const rss = doGet({ parameter: { format: "rss" } }).content;
+    const ics = doGet({ parameter: { format: "ics" } }).content;
+
+    expect(rss).toContain(
+      "<category>場所・旅行</category><category>旅行</category><category>冬</category>"
+    );
+    expect(ics).toContain("CATEGORIES:食,旅行,family");
+  });
+
+  it("should store written tags comma-separated", () => {
+    const result = doPost({
+      parameter: { token: tokens.write },
+      postData: {
+        contents: JSON.stringify({
+          action: "update",
+          id: 53,
+          item: { tags: ["料理", " 料理", "パン"] },
+        }),
+      },
+    });
+
+    expect(JSON.parse(result.content).tags).toEqual(["料理", "パン"]);
+    expect(mockSheet.data[3][9]).toBe("料理, パン");
+  });
+});
+
+describe("steps", () => {
+  const stepsSheet = createMockValuesSheet([
+    ["item_id", "Title", "completed", "completed_at"],
+    [1, "休暇を取る", true, "2024-01-10T00:00:00.000Z"],
+    [2, "教材を買う", true, "2024-02-01T00:00:00.000Z"],
+    [1, "部屋を探す", false, ""],
+    [2, "写経する", "yes", "2024-03-01T00:00:00.000Z"],
+    ["", "持ち主のいないステップ", true, ""],
+    [1, "飛行機を予約する", true, "2024-01-20T00:00:00.000Z"],
+  ]);
+  const query = (parameter = {}) => JSON.parse(doGet({ parameter }).content);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) => ({ list: mockSheet, steps: stepsSheet })[name] ?? null
+    );
+    setMockSheetData([
+      testData.headers,
+      ...testData.normalSheetData.slice(1).map((row) => [...row]),
+      [3, "食", 60, "ステップのない項目", "", "", false, "", ""],
+    ]);
+    mockSheet.data[2][6] = false;
+  });
+
+  it("should attach steps in sheet order with a progress percentage", () => {
+    const [first, second, third] = query();
+
+    expect(first.steps).toEqual([
+      { title: "休暇を取る", completed: true, completed_at: "2024-01-10T00:00:00.000Z" },
+      { title: "部屋を探す", completed: false, completed_at: null },
+      { title: "飛行機を予約する", completed: true, completed_at: "2024-01-20T00:00:00.000Z" },
+    ]);
+    expect(first.progress).toBe(66.7);
+    // Finishing every step does not complete an item by default.
+    expect(second).toMatchObject({ completed: false, progress: 100 });
+    expect(third).toMatchObject({ steps: [], progress: 0 });
+  });
+
+  it("should report a completed item as fully done", () => {
+    mockSheet.data[1][6] = true;
+
+    expect(query()[0].progress).toBe(100);
+  });
+
+  it("should complete an item as of its last step with AUTO_COMPLETE_STEPS", () => {
+    mockScriptProperties.properties = {
+      ...defaultProperties,
+      AUTO_COMPLETE_STEPS: "true",
+    };
+
+    const [first, second] = query();
+
+    expect(first.completed).toBe(false);
+    expect(second).toMatchObject({
+      completed: true,
+      completed_at: "2024-03-01T00:00:00.000Z",
+      progress: 100,
+    });
+    expect(query({ completed: "true" }).map((item) => item.id)).toEqual([2]);
+  });
+
+  it("should give each family member only the steps naming them", () => {
+    const sharedSteps = createMockValuesSheet([
+      ["item_id", "title", "completed", "completed_at", "user"],
+      [1, "休暇を取る", true, "2024-01-10T00:00:00.000Z", ""],
+      [1, "パスポートを取る", false, "", "Hanako"],
+      [2, "教材を買う", true, "2024-02-01T00:00:00.000Z", "taro"],
+    ]);
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) =>
+        ({
+          users: createMockValuesSheet([["user", "sheet_name"], ["hanako", "list"]]),
+          list: mockSheet,
+          steps: sharedSteps,
+        })[name] ?? null
+    );
+
+    const [ownerFirst, ownerSecond] = query();
+    const [hanakoFirst, hanakoSecond] = query({ user: "hanako" });
+
+    expect(ownerFirst.steps.map((step) => step.title)).toEqual(["休暇を取る"]);
+    expect(ownerSecond.steps).toEqual([]);
+    expect(hanakoFirst.steps.map((step) => step.title)).toEqual(["パスポートを取る"]);
+    expect(hanakoSecond.steps).toEqual([]);
+  });
+
+  it("should give a family member the unnamed steps of their own spreadsheet", () => {
+    const memberSpreadsheet = {
+      getSheetByName: (name) => ({ list: mockSheet, steps: stepsSheet })[name] ?? null,
+    };
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) =>
+        ({
+          users: createMockValuesSheet([["user", "spreadsheet_id"], ["hana", "hana-spreadsheet-id"]]),
+          list: mockSheet,
+        })[name] ?? null
+    );
+    mockSpreadsheetApp.openById.mockImplementation((id) =>
+      id === "hana-spreadsheet-id" ? memberSpreadsheet : mockSpreadsheet
+    );
+
+    try {
+      expect(query({ user: "hana" })[0].steps).toHaveLength(3);
+    } finally {
+      mockSpreadsheetApp.openById.mockImplementation(() => mockSpreadsheet);
+    }
+  });
+
+  it("should read the sheet named by STEPS_SHEET_NAME", () => {
+    mockScriptProperties.properties = {
+      ...defaultProperties,
+      STEPS_SHEET_NAME: "tasks",
+    };
+
+    expect(query()[0]).not.toHaveProperty("steps");
+    expect(mockSpreadsheet.getSheetByName).toHaveBeenCalledWith("tasks");
+  });
+
+  it("should leave items unchanged without a steps sheet", () => {
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+
+    const [first] = query();
+
+    expect(first).not.toHaveProperty("steps");
+    expect(first).not.toHaveProperty("progress");
+  });
+});
+
+describe("history", () => {
+  let historySheet;
+  const post = (payload) =>
+    doPost({
+      parameter: { token: tokens.write },
+      postData: { contents: JSON.stringify(payload) },
+    });
+  const historyOf = (id, token = tokens.read) =>
+    JSON.parse(doGet({ parameter: { view: "history", id, token } }).content);
+  // Builds an edit trigger event for a range of the list sheet.
+  const editEvent = (row, column, numRows, numColumns, extra = {}) => ({
+    range: {
+      getSheet: () => ({
+        ...mockSheet,
+        getName: () => "list",
+        getParent: () => mockSpreadsheet,
+      }),
+      getRow: () => row,
+      getColumn: () => column,
+      getLastRow: () => row + numRows - 1,
+      getLastColumn: () => column + numColumns - 1,
+      getNumRows: () => numRows,
+      getNumColumns: () => numColumns,
+    },
+    ...extra,
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-07-31T10:00:00.000Z"));
+    historySheet = createMockAppendSheet([
+      ["timestamp", "item_id", "event", "field", "old_value", "new_value", "actor", "user"],
+    ]);
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) => ({ list: mockSheet, history: historySheet })[name] ?? null
+    );
+    setMockSheetData(testData.normalSheetData);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should record a created item with the token's name", () => {
+    post({ action: "create", item: { title: "富士山に登る" } });
+
+    expect(historySheet.values[1]).toEqual([
+      "2024-07-31T10:00:00.000Z",
+      3,
+      "created",
+      "",
+      "",
+      "富士山に登る",
+      "writer",
+      "",
+    ]);
+  });
+
+  it("should keep the completion date when an item is reopened", () => {
+    post({ action: "uncomplete", id: 2 });
+
+    expect(historySheet.values.slice(1)).toEqual([
+      ["2024-07-31T10:00:00.000Z", 2, "reopened", "completed", true, false, "writer", ""],
+      [
+        "2024-07-31T10:00:00.000Z",
+        2,
+        "edited",
+        "completed_at",
+        testData.normalSheetData[2][7],
+        "",
+        "writer",
+        "",
       ],
-    ];
-    const result = convertSheetDataToObjects(dataWithVariedHeaders);
-    expect(result).toHaveLength(1);
-    expect(result[0].id).toBe(1);
-    expect(result[0].category).toBe("Test");
-    expect(result[0].target_age).toBe(40);
-    expect(result[0].title).toBe("Header Test");
-    expect(result[0].image_url).toBe("http://example.com");
-    expect(result[0].completed).toBe(true);
-    expect(result[0].completed_at).toBe("2024-01-01T00:00:00.000Z");
+    ]);
   });
 
-  it("should correctly parse various truthy values for 'completed'", () => {
-    const data = [
-      testData.headers,
-      [1, "C", 30, "T1", "N", "", true, ""],
-      [2, "C", 30, "T2", "N", "", "true", ""],
-      [3, "C", 30, "T3", "N", "", "TRUE", ""],
-      [4, "C", 30, "T4", "N", "", 1, ""],
-      [5, "C", 30, "T5", "N", "", "1", ""],
-      [6, "C", 30, "T6", "N", "", "yes", ""],
-    ];
-    const result = convertSheetDataToObjects(data);
-    expect(result.every((item) => item.completed === true)).toBe(true);
+  it("should record one entry per edited field and a deleted item", () => {
+    post({ action: "update", id: 1, item: { note: "更新", category: testData.normalSheetData[1][1] } });
+    post({ action: "delete", id: 1 });
+
+    expect(historySheet.values.slice(1).map((row) => row.slice(2, 6))).toEqual([
+      ["edited", "note", testData.normalSheetData[1][4], "更新"],
+      ["deleted", "", testData.normalSheetData[1][3], ""],
+    ]);
   });
 
-  it("should correctly handle Date objects for 'completed_at'", () => {
-    const date = new Date("2024-01-20T12:00:00.000Z");
-    const data = [
-      testData.headers,
-      [1, "C", 30, "T1", "N", "", true, date],
-    ];
-    const result = convertSheetDataToObjects(data);
-    expect(result[0].completed_at).toBe(date.toISOString());
+  it("should create the history sheet on first use", () => {
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+
+    post({ action: "complete", id: 1 });
+
+    const created = mockSpreadsheet.insertSheet.mock.results[0].value;
+    expect(mockSpreadsheet.insertSheet).toHaveBeenCalledWith("history");
+    expect(created.values[0]).toEqual([
+      "timestamp",
+      "item_id",
+      "event",
+      "field",
+      "old_value",
+      "new_value",
+      "actor",
+      "user",
+    ]);
+    expect(created.values[1].slice(2, 4)).toEqual(["completed", "completed"]);
   });
 
-  it("should override a future Date object with the current time", () => {
-    const fakeNow = new Date("2024-08-01T12:00:00.000Z");
+  it("should record a single-cell edit with its previous value", () => {
+    mockSheet.data[1][4] = "新しいメモ";
+
+    onSheetChange(
+      editEvent(2, 5, 1, 1, {
+        oldValue: "古いメモ",
+        user: { getEmail: () => "owner@example.com" },
+      })
+    );
+
+    expect(historySheet.values[1]).toEqual([
+      "2024-07-31T10:00:00.000Z",
+      1,
+      "edited",
+      "note",
+      "古いメモ",
+      "新しいメモ",
+      "owner@example.com",
+      "",
+    ]);
+  });
+
+  it("should record multi-cell edits without previous values", () => {
+    onSheetChange(editEvent(1, 7, 3, 1));
+
+    expect(historySheet.values.slice(1).map((row) => row.slice(1))).toEqual([
+      // Without the previous value, unticking cannot be told from no change.
+      [1, "edited", "completed", "", false, "sheet", ""],
+      [2, "completed", "completed", "", true, "sheet", ""],
+    ]);
+    // A paste is written to the history sheet in one call.
+    expect(historySheet.getRange).toHaveBeenCalledTimes(1);
+    expect(historySheet.appendRow).not.toHaveBeenCalled();
+  });
+
+  it("should record a family member's edits under their name", () => {
+    const memberSheet = createMockValuesSheet(
+      testData.normalSheetData.map((row) => [...row])
+    );
+    const memberHistory = createMockAppendSheet();
+    const memberSpreadsheet = {
+      getId: () => "hanako-spreadsheet-id",
+      getSheetByName: (name) => (name === "list" ? memberSheet : null),
+      insertSheet: vi.fn(() => memberHistory),
+    };
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) =>
+        ({
+          users: createMockValuesSheet([
+            ["user", "spreadsheet_id"],
+            ["Hanako", "hanako-spreadsheet-id"],
+          ]),
+          list: mockSheet,
+          history: historySheet,
+        })[name] ?? null
+    );
+    mockSpreadsheetApp.openById.mockImplementation((id) =>
+      id === "hanako-spreadsheet-id" ? memberSpreadsheet : mockSpreadsheet
+    );
+    const event = editEvent(2, 5, 1, 1, { oldValue: "古いメモ" });
+    event.range.getSheet = () => ({
+      ...memberSheet,
+      getName: () => "list",
+      getParent: () => memberSpreadsheet,
+    });
+
+    try {
+      onSheetChange(event);
+    } finally {
+      mockSpreadsheetApp.openById.mockImplementation(() => mockSpreadsheet);
+    }
+
+    expect(memberSpreadsheet.insertSheet).toHaveBeenCalledWith("history");
+    expect(historySheet.values).toHaveLength(1);
+    expect(memberHistory.values[1].slice(3)).toEqual([
+      "note",
+      "古いメモ",
+      testData.normalSheetData[1][4],
+      "sheet",
+      "Hanako",
+    ]);
+  });
+
+  it("should give a family member the unnamed history of their own spreadsheet", () => {
+    const memberHistory = createMockValuesSheet([
+      ["timestamp", "item_id", "event", "field", "old_value", "new_value", "actor"],
+      ["2024-07-01T00:00:00.000Z", 1, "created", "", "", "沖縄", "writer"],
+    ]);
+    const memberSpreadsheet = {
+      getSheetByName: (name) => ({ list: mockSheet, history: memberHistory })[name] ?? null,
+    };
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) =>
+        ({
+          users: createMockValuesSheet([["user", "spreadsheet_id"], ["hana", "hana-spreadsheet-id"]]),
+          list: mockSheet,
+        })[name] ?? null
+    );
+    mockSpreadsheetApp.openById.mockImplementation((id) =>
+      id === "hana-spreadsheet-id" ? memberSpreadsheet : mockSpreadsheet
+    );
+
+    try {
+      const timeline = JSON.parse(
+        doGet({ parameter: { view: "history", id: "1", token: tokens.read, user: "hana" } })
+          .content
+      );
+
+      expect(timeline.map((entry) => entry.event)).toEqual(["created"]);
+    } finally {
+      mockSpreadsheetApp.openById.mockImplementation(() => mockSpreadsheet);
+    }
+  });
+
+  it("should keep each family member's timeline apart", () => {
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) =>
+        ({
+          users: createMockValuesSheet([["user", "sheet_name"], ["hanako", "list"]]),
+          list: mockSheet,
+          history: historySheet,
+        })[name] ?? null
+    );
+    post({ action: "complete", id: 1 });
+    doPost({
+      parameter: { token: tokens.write, user: "hanako" },
+      postData: { contents: JSON.stringify({ action: "uncomplete", id: 1 }) },
+    });
+
+    const ownerTimeline = historyOf("1");
+    const hanakoTimeline = JSON.parse(
+      doGet({ parameter: { view: "history", id: "1", token: tokens.read, user: "hanako" } })
+        .content
+    );
+
+    expect(ownerTimeline.map((entry) => entry.event)).toEqual(["completed", "edited"]);
+    expect(hanakoTimeline.map((entry) => entry.event)).toEqual(["reopened", "edited"]);
+    expect(historySheet.values.slice(1).map((row) => row[7])).toEqual([
+      "",
+      "",
+      "hanako",
+      "hanako",
+    ]);
+  });
+
+  it("should ignore edits outside the list sheet", () => {
+    const event = editEvent(2, 5, 1, 1);
+    event.range.getSheet = () => ({ getName: () => "config" });
+
+    onSheetChange(event);
+
+    expect(historySheet.values).toHaveLength(1);
+  });
+
+  it("should return an item's timeline, deleted items included", () => {
+    post({ action: "complete", id: 1 });
+    post({ action: "delete", id: 1 });
+
+    const timeline = historyOf("1");
+
+    expect(timeline.map((entry) => entry.event)).toEqual([
+      "completed",
+      "edited",
+      "deleted",
+    ]);
+    expect(timeline[0]).toEqual({
+      timestamp: "2024-07-31T10:00:00.000Z",
+      event: "completed",
+      field: "completed",
+      old_value: false,
+      new_value: true,
+      actor: "writer",
+    });
+  });
+
+  it("should answer an empty timeline for an item without history", () => {
+    expect(historyOf("2")).toEqual([]);
+  });
+
+  it.each([
+    ["an unknown item", { id: "99", token: tokens.read }, 404],
+    ["no id", { token: tokens.read }, 400],
+    ["anonymous callers", { id: "1" }, 401],
+  ])("should refuse %s", (name, parameter, code) => {
+    const parsedError = JSON.parse(
+      doGet({ parameter: { view: "history", ...parameter } }).content
+    );
+
+    expect(parsedError.error.code).toBe(code);
+  });
+});
+
+describe("archived items", () => {
+  const archiveSheetData = [
+    [...testData.headers, "archived", "deleted_at"],
+    [...testData.normalSheetData[1], false, ""],
+    [...testData.normalSheetData[2], false, "2024-06-01T00:00:00.000Z"],
+    [3, "食", 60, "やめた目標", "", "", false, "", "", true, ""],
+  ];
+  const query = (parameter = {}) => JSON.parse(doGet({ parameter }).content);
+  const ids = (items) => items.map((item) => item.id);
+  const post = (payload) =>
+    JSON.parse(
+      doPost({
+        parameter: { token: tokens.write },
+        postData: { contents: JSON.stringify(payload) },
+      }).content
+    );
+
+  beforeEach(() => {
+    vi.clearAllMocks();
     vi.useFakeTimers();
-    vi.setSystemTime(fakeNow);
+    vi.setSystemTime(new Date("2024-07-31T10:00:00.000Z"));
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData(archiveSheetData);
+  });
 
-    const futureDate = new Date("2099-01-01T00:00:00.000Z");
-    const data = [
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should treat a deleted_at date as archived", () => {
+    const items = convertSheetDataToObjects(archiveSheetData, {
+      birthDate: new Date("1979-09-02T00:00:00+09:00"),
+    });
+
+    expect(items.map((item) => item.archived)).toEqual([false, true, true]);
+    expect(items[1].deleted_at).toBe("2024-06-01T00:00:00.000Z");
+  });
+
+  it("should hide archived items unless include=archived", () => {
+    expect(ids(query())).toEqual([1]);
+    expect(ids(query({ include: "archived" }))).toEqual([1, 2, 3]);
+    expect(query({ view: "stats" }).total).toBe(1);
+  });
+
+  it("should return 404 for an archived item unless it is included", () => {
+    expect(query({ id: "3" }).error.code).toBe(404);
+    expect(query({ id: "3", include: "archived" }).title).toBe("やめた目標");
+  });
+
+  it("should reject unknown include values", () => {
+    expect(query({ include: "deleted" }).error).toEqual({
+      code: 400,
+      message: "Invalid value for 'include'.",
+    });
+  });
+
+  it("should archive instead of deleting when the sheet has the columns", () => {
+    const item = post({ action: "delete", id: 1 });
+
+    expect(mockSheet.deleteRow).not.toHaveBeenCalled();
+    expect(item).toMatchObject({
+      id: 1,
+      archived: true,
+      deleted_at: "2024-07-31T10:00:00.000Z",
+    });
+    expect(mockSheet.data[1][10]).toEqual(new Date("2024-07-31T10:00:00.000Z"));
+    expect(ids(query())).toEqual([]);
+  });
+
+  it("should keep ids unique after a delete", () => {
+    post({ action: "delete", id: 3 });
+
+    expect(post({ action: "create", item: { title: "新しい目標" } }).id).toBe(4);
+  });
+
+  it("should restore an archived item", () => {
+    const item = post({ action: "restore", id: 2 });
+
+    expect(item).toMatchObject({ id: 2, archived: false, deleted_at: null });
+    expect(ids(query())).toEqual([1, 2]);
+  });
+
+  it("should record archiving and restoring in the history", () => {
+    const historySheet = createMockAppendSheet([
+      ["timestamp", "item_id", "event", "field", "old_value", "new_value", "actor"],
+    ]);
+    mockSpreadsheet.getSheetByName.mockImplementation(
+      (name) => ({ list: mockSheet, history: historySheet })[name] ?? null
+    );
+
+    post({ action: "restore", id: 3 });
+    post({ action: "delete", id: 3 });
+
+    expect(historySheet.values.slice(1).map((row) => row.slice(2, 4))).toEqual([
+      ["restored", "archived"],
+      ["deleted", ""],
+    ]);
+  });
+
+  it("should refuse to restore without archive columns", () => {
+    setMockSheetData(testData.normalSheetData);
+
+    expect(post({ action: "restore", id: 1 }).error).toEqual({
+      code: 409,
+      message: "Sheet 'list' has no 'archived' or 'deleted_at' column.",
+    });
+  });
+});
+
+describe("images", () => {
+  const driveId = "1AbCdEfGhIjKlMnOpQrStUvWxYz012345";
+  const driveUrl = `https://lh3.googleusercontent.com/d/${driveId}`;
+  // Minimal image headers declaring a 400x300 picture.
+  const images = {
+    png: [
+      0x89, ...Buffer.from("PNG\r\n\x1a\n"), 0, 0, 0, 13, ...Buffer.from("IHDR"),
+      0, 0, 0x01, 0x90, 0, 0, 0x01, 0x2c,
+    ],
+    gif: [...Buffer.from("GIF89a"), 0x90, 0x01, 0x2c, 0x01],
+    jpeg: [
+      0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0, 0,
+      0xff, 0xc0, 0x00, 0x11, 8, 0x01, 0x2c, 0x01, 0x90, 3, 0, 0,
+    ],
+    webpLossless: [
+      ...Buffer.from("RIFF"), 0, 0, 0, 0, ...Buffer.from("WEBPVP8L"), 0, 0, 0, 0,
+      0x2f, 0x8f, 0xc1, 0x4a, 0x00,
+    ],
+    webpLossy: [
+      ...Buffer.from("RIFF"), 0, 0, 0, 0, ...Buffer.from("WEBPVP8 "), 0, 0, 0, 0,
+      0, 0, 0, 0x9d, 0x01, 0x2a, 0x90, 0x01, 0x2c, 0x01,
+    ],
+    webpExtended: [
+      ...Buffer.from("RIFF"), 0, 0, 0, 0, ...Buffer.from("WEBPVP8X"), 0, 0, 0, 0,
+      0, 0, 0, 0, 0x8f, 0x01, 0x00, 0x2b, 0x01, 0x00,
+    ],
+  };
+  const response = (bytes, code = 200, contentType = "image/png") => ({
+    getResponseCode: () => code,
+    getContent: () => toSignedBytes(Buffer.from(bytes)),
+    getHeaders: () => ({ "Content-Type": contentType }),
+  });
+  const mockUrlFetchApp = { fetch: vi.fn() };
+  const query = (parameter = {}) => JSON.parse(doGet({ parameter }).content);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubGlobal("UrlFetchApp", mockUrlFetchApp);
+    mockUrlFetchApp.fetch.mockImplementation(() => response(images.png));
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData([
       testData.headers,
-      [1, "C", 30, "T1", "N", "", true, futureDate], // `completed` is true
-    ];
-    const result = convertSheetDataToObjects(data);
+      [1, "C", 50, "Drive", "", `https://drive.google.com/file/d/${driveId}/view?usp=sharing`, false, "", ""],
+      [2, "C", 50, "Web", "", "https://example.com/photo.jpg", false, "", ""],
+      [3, "C", 50, "Inline", "", `data:image/gif;base64,${Buffer.from(images.gif).toString("base64")}`, false, "", ""],
+      [4, "C", 50, "No image", "", "", false, "", ""],
+    ]);
+  });
 
-    // If completed is true, a future date is invalid, so it should be replaced by now.
-    expect(result[0].completed_at).toBe(fakeNow.toISOString());
+  it.each([
+    [`https://drive.google.com/file/d/${driveId}/view?usp=sharing`],
+    [`https://drive.google.com/open?id=${driveId}`],
+    [`https://drive.google.com/uc?export=view&id=${driveId}`],
+    [`https://docs.google.com/uc?id=${driveId}`],
+    [driveId],
+  ])("should rewrite the Drive link %s to an embeddable URL", (link) => {
+    const [item] = convertSheetDataToObjects([["image_url"], [link]], {
+      birthDate: new Date("1979-09-02T00:00:00+09:00"),
+    });
 
-    vi.useRealTimers();
+    expect(item.image_url).toBe(driveUrl);
+  });
+
+  it("should still blank text that is neither a URL nor a Drive id", () => {
+    const [item] = convertSheetDataToObjects([["image_url"], ["see the photo"]], {
+      birthDate: new Date("1979-09-02T00:00:00+09:00"),
+    });
+
+    expect(item.image_url).toBe("");
+  });
+
+  it("should report rewritten Drive links in the validation report", () => {
+    const report = query({ view: "validate", token: tokens.admin });
+
+    expect(report.diagnostics).toContainEqual(
+      expect.objectContaining({ row: 2, field: "image_url", reason: "drive_link_rewritten" })
+    );
+  });
+
+  it.each(Object.keys(images))("should read the size of a %s image", (format) => {
+    mockUrlFetchApp.fetch.mockImplementation(() => response(images[format]));
+
+    const image = query({ view: "image", id: "2" });
+
+    expect(image).toMatchObject({ width: 400, height: 300 });
+    expect(image.mime_type).toBe(format.startsWith("webp") ? "image/webp" : `image/${format}`);
+  });
+
+  it("should return the image bytes as a data URL", () => {
+    const image = query({ view: "image", id: "2" });
+
+    expect(mockUrlFetchApp.fetch).toHaveBeenCalledWith("https://example.com/photo.jpg", {
+      muteHttpExceptions: true,
+    });
+    expect(image.data_url).toBe(
+      `data:image/png;base64,${Buffer.from(images.png).toString("base64")}`
+    );
+  });
+
+  it("should decode images stored as data URLs without fetching", () => {
+    const image = query({ view: "image", id: "3" });
+
+    expect(image).toMatchObject({ mime_type: "image/gif", width: 400, height: 300 });
+    expect(mockUrlFetchApp.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should decode percent-encoded data URLs", () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"/>';
+    mockSheet.data[3][5] = `data:image/svg+xml,${encodeURIComponent(svg)}`;
+
+    const image = query({ view: "image", id: "3" });
+
+    expect(image).toEqual({
+      mime_type: "image/svg+xml",
+      width: null,
+      height: null,
+      data_url: `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`,
+    });
+  });
+
+  it("should answer 502 for a data URL that does not decode", () => {
+    mockSheet.data[3][5] = 'data:image/svg+xml,<svg width="100%"/>';
+
+    expect(query({ view: "image", id: "3" }).error).toEqual({
+      code: 502,
+      message: "Could not load the image of item '3'.",
+    });
+  });
+
+  it("should list items whose data URL does not decode with IMAGE_METADATA", () => {
+    mockScriptProperties.properties.IMAGE_METADATA = "true";
+    mockSheet.data[3][5] = 'data:image/svg+xml,<svg width="100%"/>';
+
+    expect(query({ nocache: "1" })[2].image).toBeNull();
+  });
+
+  it("should fetch a Drive thumbnail of the requested size", () => {
+    query({ view: "image", id: "1", size: "200" });
+
+    expect(mockUrlFetchApp.fetch).toHaveBeenCalledWith(`${driveUrl}=s200`, {
+      muteHttpExceptions: true,
+    });
+  });
+
+  it.each([
+    ["a thumbnail of a non-Drive image", { id: "2", size: "200" }, 400],
+    ["an invalid size", { id: "1", size: "0" }, 400],
+    ["an item without an image", { id: "4" }, 404],
+    ["an unknown item", { id: "99" }, 404],
+  ])("should refuse %s", (name, parameter, code) => {
+    expect(query({ view: "image", ...parameter }).error.code).toBe(code);
+  });
+
+  it.each([
+    ["an error status", () => response([], 404)],
+    ["a network error", () => {
+      throw new Error("DNS error");
+    }],
+  ])("should answer 502 when the download fails with %s", (name, implementation) => {
+    mockUrlFetchApp.fetch.mockImplementation(implementation);
+
+    expect(query({ view: "image", id: "2" }).error).toEqual({
+      code: 502,
+      message: "Could not load the image of item '2'.",
+    });
+  });
+
+  it("should leave out image metadata unless IMAGE_METADATA is on", () => {
+    expect(query()[0]).not.toHaveProperty("image");
+    expect(mockUrlFetchApp.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should attach cached image metadata with IMAGE_METADATA", () => {
+    mockScriptProperties.properties.IMAGE_METADATA = "true";
+    mockUrlFetchApp.fetch.mockImplementation((url) =>
+      url === driveUrl ? response([], 403) : response(images.jpeg)
+    );
+
+    const items = query({ nocache: "1" });
+    query({ nocache: "1" });
+
+    expect(items.map((item) => item.image)).toEqual([
+      null,
+      { mime_type: "image/jpeg", width: 400, height: 300 },
+      { mime_type: "image/gif", width: 400, height: 300 },
+      undefined,
+    ]);
+    // The Drive image failed and is retried; the other one came from the cache.
+    expect(mockUrlFetchApp.fetch).toHaveBeenCalledTimes(3);
   });
 });
 
@@ -417,16 +3653,121 @@ describe("calculateAge", () => {
 
   it("should calculate age correctly the day before the birthday", () => {
     const nowDate = new Date("2025-09-01T00:00:00+09:00"); // 46th birthday is tomorrow
-    expect(calculateAge(birthDate, nowDate)).toBe(45);
+    expect(calculateAge(birthDate, nowDate, "Asia/Tokyo")).toBe(45);
   });
 
   it("should calculate age correctly on the birthday", () => {
     const nowDate = new Date("2025-09-02T00:00:00+09:00"); // 46th birthday
-    expect(calculateAge(birthDate, nowDate)).toBe(46);
+    expect(calculateAge(birthDate, nowDate, "Asia/Tokyo")).toBe(46);
   });
 
   it("should calculate age correctly the day after the birthday", () => {
     const nowDate = new Date("2025-09-03T00:00:00+09:00"); // 46th birthday was yesterday
-    expect(calculateAge(birthDate, nowDate)).toBe(46);
+    expect(calculateAge(birthDate, nowDate, "Asia/Tokyo")).toBe(46);
+  });
+
+  it("should compare calendar dates in the given time zone", () => {
+    // 23:00 on Sep 1 in Tokyo, but already past the 15:00 UTC birth time.
+    const nowDate = new Date("2025-09-01T14:00:00Z");
+
+    expect(calculateAge(birthDate, nowDate, "Asia/Tokyo")).toBe(45);
+    expect(calculateAge(birthDate, nowDate, "UTC")).toBe(46);
+  });
+});
+
+describe("time zones", () => {
+  const query = (parameter = {}) => JSON.parse(doGet({ parameter }).content);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    // 23:00 on Sep 1 in Tokyo, the eve of the owner's 50th birthday. Born at
+    // 15:00 UTC on Sep 1, the owner has already turned 50 in UTC.
+    vi.setSystemTime(new Date("2029-09-01T14:00:00.000Z"));
+    mockSpreadsheet.getSheetByName.mockImplementation((name) =>
+      name === "list" ? mockSheet : null
+    );
+    setMockSheetData([
+      testData.headers,
+      // 01:00 on New Year's Day in Tokyo, New Year's Eve in UTC.
+      [1, "C", 40, "Late", "", "", true, "2024-12-31T16:00:00.000Z", ""],
+      [2, "C", 40, "Early", "", "", true, "2025-01-01T03:00:00.000Z", ""],
+      [3, "C", "", "Open", "", "", false, "", ""],
+    ]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should default TIME_ZONE to the script's time zone", () => {
+    mockSession.getScriptTimeZone.mockReturnValueOnce("Europe/London");
+
+    expect(loadProfile().timeZone).toBe("Europe/London");
+  });
+
+  it("should give completed items their local completion date", () => {
+    expect(query().map((item) => item.completed_on)).toEqual([
+      "2025-01-01",
+      "2025-01-01",
+      null,
+    ]);
+  });
+
+  it("should count completions per period on the local calendar", () => {
+    expect(query({ view: "stats" }).completions_by_year).toEqual([
+      { year: "2025", count: 2 },
+    ]);
+  });
+
+  it("should normalize target ages by the owner's age in TIME_ZONE", () => {
+    expect(query()[2].target_age).toBe(40);
+
+    mockScriptProperties.properties.TIME_ZONE = "UTC";
+
+    expect(query({ nocache: "1" })[2].target_age).toBe(50);
+  });
+
+  it("should use the calendar of the zone given by tz", () => {
+    const items = query({ tz: "America/New_York" });
+
+    expect(items.map((item) => item.completed_on)).toEqual([
+      "2024-12-31",
+      "2024-12-31",
+      null,
+    ]);
+    // The birthday stays Sep 2, so the owner is still 49.
+    expect(items[2].target_age).toBe(40);
+    expect(query({ tz: "America/New_York", view: "stats" }).completions_by_year).toEqual([
+      { year: "2024", count: 2 },
+    ]);
+  });
+
+  it("should reject an unknown tz", () => {
+    expect(query({ tz: "Mars/Olympus_Mons" }).error).toEqual({
+      code: 400,
+      message: "Invalid value for 'tz'.",
+    });
+  });
+
+  it("should keep the birthday of TIME_ZONE whatever the tz", () => {
+    const text = doGet({ parameter: { format: "ics", tz: "UTC" } }).content;
+
+    // Still 49 on Sep 1 in UTC; the 40s end on the Tokyo birthday, Sep 2,
+    // though the owner was born on Sep 1 by UTC's calendar.
+    expect(text).toContain("DTSTART;VALUE=DATE:20290902");
+    expect(text).toContain("DTEND;VALUE=DATE:20290903");
+  });
+
+  it("should read a date-only BIRTH_DATE on the calendar of TIME_ZONE", () => {
+    mockScriptProperties.properties = {
+      ...mockScriptProperties.properties,
+      BIRTH_DATE: "1990-05-10",
+      TIME_ZONE: "America/Los_Angeles",
+    };
+    setMockSheetData([testData.headers, [1, "C", 40, "T", "", "", false, "", ""]]);
+
+    expect(query({ nocache: "1" })[0].deadline_date).toBe("2040-05-10");
+    expect(query({ nocache: "1", tz: "Asia/Tokyo" })[0].deadline_date).toBe("2040-05-10");
   });
 });
@@ -1,7 +1,7 @@
 import path from "path";
 import { describe, expect, it, vi } from "vitest";
 
-import { build, runIfMain } from "../build";
+import { build, injectBuildConfig, runIfMain } from "../build";
 
 describe("build", () => {
   it("writes Code.gs without export statements and copies manifest", () => {
@@ -17,6 +17,7 @@ describe("build", () => {
       ),
       writeFileSync: vi.fn(),
       copyFileSync: vi.fn(),
+      existsSync: vi.fn(() => false),
     };
     const rootDir = "/repo";
 
@@ -44,6 +45,52 @@ describe("build", () => {
     );
   });
 
+  it("injects defaults from config.json when it exists", () => {
+    const rootDir = "/repo";
+    const files = {
+      [path.join(rootDir, "src", "Code.js")]: [
+        "// Keep this line as-is: the build replaces it.",
+        "const BUILD_CONFIG = {};",
+        "export function doGet() {}",
+      ].join("\n"),
+      [path.join(rootDir, "config.json")]: JSON.stringify({
+        SPREADSHEET_ID: "sheet-id",
+        BIRTH_DATE: "1990-01-01T00:00:00+09:00",
+      }),
+    };
+    const fsModule = {
+      mkdirSync: vi.fn(),
+      readFileSync: vi.fn((file) => files[file]),
+      writeFileSync: vi.fn(),
+      copyFileSync: vi.fn(),
+      existsSync: vi.fn((file) => file in files),
+    };
+
+    build({ rootDir, fsModule, pathModule: path });
+
+    expect(fsModule.writeFileSync).toHaveBeenCalledWith(
+      path.join(rootDir, "dist", "Code.gs"),
+      [
+        "// Keep this line as-is: the build replaces it.",
+        "const BUILD_CONFIG = {",
+        '  "SPREADSHEET_ID": "sheet-id",',
+        '  "BIRTH_DATE": "1990-01-01T00:00:00+09:00"',
+        "};",
+        "function doGet() {}",
+      ].join("\n")
+    );
+  });
+
+  it.each([
+    ["an array", []],
+    ["null", null],
+    ["a string", "sheet-id"],
+  ])("rejects a config that is %s", (name, config) => {
+    expect(() => injectBuildConfig("const BUILD_CONFIG = {};", config)).toThrow(
+      "config.json must contain a JSON object."
+    );
+  });
+
   it("runs build when main matches current module", () => {
     const buildFn = vi.fn();
     const main = {};
@@ -303,3 +303,38 @@ export const targetAgeNormalizationData = [
     "extra21"
   ],
 ];
+
+// --- 12. Data for Query Parameters ---
+// A mix of categories, target ages and completion states for exercising
+// filtering, sorting and pagination in `doGet`. Target ages are set high
+// enough that they are never rolled forward to the current decade.
+export const querySheetData = [
+  headers,
+  [31, "場所・旅行", 70, "オーロラを見る", "カナダのイエローナイフで", "", false, "", ""],
+  [32, "スキル・学習", 80, "Piano を弾く", "ショパンを一曲", "", true, "2024-03-01T00:00:00.000Z", ""],
+  [33, "場所・旅行", 80, "世界一周", "船で回りたい", "", true, "2023-06-01T00:00:00.000Z", ""],
+  [34, "健康・運動", 90, "フルマラソン完走", "", "", false, "", ""],
+  [35, "場所・旅行", 90, "南極に行く", "piano の演奏会も", "", false, "", ""],
+];
+
+// --- 13. Data for Feeds ---
+// Completed items with markup-like characters and Japanese text that feeds
+// must escape, plus items a feed must leave out.
+export const feedSheetData = [
+  headers,
+  [41, "場所・旅行", 80, "オーロラを見る", "寒さ <-30℃> & 強風", "https://example.com/aurora.jpg?w=1&h=2", true, "2024-02-01T12:00:00.000Z", ""],
+  [42, "食", 80, "\"本場\"の寿司", "", "", true, "2024-05-05T00:00:00.000Z", ""],
+  [43, "食", 80, "未完了の項目", "", "", false, "", ""],
+  ["", "食", 80, "IDのない項目", "", "", true, "2024-06-01T00:00:00.000Z", ""],
+];
+
+// --- 14. Data for Tags ---
+// Tags written with every supported separator, repeated in different case,
+// next to a row with no tags at all.
+export const tagSheetData = [
+  [...headers, "tags"],
+  [51, "場所・旅行", 80, "オーロラを見る", "", "", true, "2024-02-01T12:00:00.000Z", "", "旅行, 冬、Family"],
+  [52, "食", 80, "本場の寿司", "", "", false, "", "", "旅行，食\nfamily\n旅行"],
+  [53, "食", 80, "パンを焼く", "", "", false, "", "", "  料理  教室 "],
+  [54, "健康・運動", 90, "フルマラソン完走", "", "", false, "", "", ""],
+];